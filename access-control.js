@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+
+const intFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * API authentication, per-client rate limits and daily quotas.
+ *
+ * Authentication is on when API_KEYS_FILE is set. Clients send their key as
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`; GET requests may use
+ * `?access_token=<key>` instead, for EventSource streams and download links
+ * that can't set headers. The keys file only stores SHA-256 hashes and is
+ * re-read when it changes:
+ *
+ *   {
+ *     "keys": [
+ *       { "id": "ci", "keyHash": "<sha256 hex>", "createdAt": "...",
+ *         "rateLimitPerMinute": 10, "dailyQuota": 200, "disabled": false }
+ *     ]
+ *   }
+ *
+ * Manage it with `node access-control.js create|list|revoke` (see usage()).
+ *
+ * Rate limits and quotas count extraction requests (POST /api/extract/:provider
+ * and POST /api/jobs) per key and per client IP, in fixed one-minute windows
+ * and per UTC day. Counters are kept in memory, so they reset on restart.
+ * A limit of 0 disables it.
+ */
+class AccessControl {
+    constructor({
+        keysFile = process.env.API_KEYS_FILE ? path.resolve(process.env.API_KEYS_FILE) : null,
+        keyRateLimit = intFromEnv('RATE_LIMIT_PER_KEY_PER_MINUTE', 60),
+        ipRateLimit = intFromEnv('RATE_LIMIT_PER_IP_PER_MINUTE', 20),
+        keyDailyQuota = intFromEnv('DAILY_QUOTA_PER_KEY', 1000),
+        ipDailyQuota = intFromEnv('DAILY_QUOTA_PER_IP', 200),
+        corsOrigins = process.env.CORS_ORIGINS || '',
+        now = () => Date.now()
+    } = {}) {
+        this.keysFile = keysFile;
+        this.keyRateLimit = keyRateLimit;
+        this.ipRateLimit = ipRateLimit;
+        this.keyDailyQuota = keyDailyQuota;
+        this.ipDailyQuota = ipDailyQuota;
+        this.corsOrigins = corsOrigins.split(',').map(origin => origin.trim()).filter(Boolean);
+        this.now = now;
+
+        this.keys = [];
+        this.keysLoadedAt = null;
+        this.windows = new Map();
+        this.days = new Map();
+    }
+
+    get enabled() {
+        return Boolean(this.keysFile);
+    }
+
+    /**
+     * Options for the cors middleware: only origins in CORS_ORIGINS ("*" for
+     * any) get CORS headers; without it the API is same-origin only
+     */
+    corsOptions() {
+        const allowAll = this.corsOrigins.includes('*');
+        return {
+            origin: (origin, callback) => callback(null, allowAll || this.corsOrigins.includes(origin)),
+            allowedHeaders: ['Authorization', 'X-API-Key', 'Content-Type'],
+            exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+        };
+    }
+
+    /**
+     * Keys from API_KEYS_FILE, re-read whenever the file changes
+     */
+    loadKeys() {
+        let stat;
+        try {
+            stat = fs.statSync(this.keysFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.keys = [];
+            this.keysLoadedAt = null;
+            return this.keys;
+        }
+
+        if (this.keysLoadedAt !== stat.mtimeMs) {
+            const data = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+            this.keys = data.keys || [];
+            this.keysLoadedAt = stat.mtimeMs;
+        }
+        return this.keys;
+    }
+
+    /**
+     * @param {Object} req - Express request
+     * @returns {?string} Key presented by the client
+     */
+    presentedKey(req) {
+        const header = req.get('authorization') || '';
+        const bearer = header.match(/^Bearer\s+(.+)$/i);
+        if (bearer) return bearer[1].trim();
+        if (req.get('x-api-key')) return req.get('x-api-key').trim();
+        if (req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+        return null;
+    }
+
+    /**
+     * @param {string} key - Key presented by the client
+     * @returns {?Object} Matching, enabled key record
+     */
+    findKey(key) {
+        const hash = Buffer.from(hashKey(key), 'hex');
+        return this.loadKeys().find(record => {
+            const stored = Buffer.from(record.keyHash || '', 'hex');
+            return !record.disabled && stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+        }) || null;
+    }
+
+    /**
+     * Express middleware: reject requests without a valid key (401) and
+     * attach the key record as req.apiKey
+     */
+    authenticate() {
+        return (req, res, next) => {
+            if (!this.enabled) return next();
+
+            const key = this.presentedKey(req);
+            if (!key) {
+                return this.unauthorized(res, 'Missing API key. Send it as "Authorization: Bearer <key>".');
+            }
+
+            let record;
+            try {
+                record = this.findKey(key);
+            } catch (error) {
+                return next(error);
+            }
+            if (!record) {
+                return this.unauthorized(res, 'Invalid or revoked API key.');
+            }
+
+            req.apiKey = record;
+            next();
+        };
+    }
+
+    unauthorized(res, message) {
+        res.set('WWW-Authenticate', 'Bearer realm="api"');
+        res.status(401).json({ success: false, code: 'unauthorized', error: message });
+    }
+
+    /**
+     * Express middleware for billable routes: per-minute rate limits and
+     * daily quotas per key and per IP (429 with Retry-After when exceeded)
+     */
+    limit() {
+        return (req, res, next) => {
+            const clients = [{ scope: 'ip', id: req.ip, perMinute: this.ipRateLimit, perDay: this.ipDailyQuota }];
+            if (req.apiKey) {
+                const record = req.apiKey;
+                clients.push({
+                    scope: 'key',
+                    id: record.id,
+                    perMinute: record.rateLimitPerMinute !== undefined ? record.rateLimitPerMinute : this.keyRateLimit,
+                    perDay: record.dailyQuota !== undefined ? record.dailyQuota : this.keyDailyQuota
+                });
+            }
+
+            const now = this.now();
+            const checks = clients.map(client => this.check(client, now));
+            const exceeded = checks.find(check => check.exceeded);
+            if (exceeded) {
+                const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - now) / 1000));
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    code: exceeded.quota ? 'quota_exceeded' : 'rate_limited',
+                    error: exceeded.message,
+                    retryAfter: retryAfter
+                });
+            }
+
+            checks.forEach(check => check.commit());
+
+            // Report the tightest per-minute window
+            const windows = checks.filter(check => check.window);
+            if (windows.length) {
+                const tightest = windows.reduce((min, check) => (check.window.remaining < min.window.remaining ? check : min));
+                res.set('RateLimit-Limit', String(tightest.window.limit));
+                res.set('RateLimit-Remaining', String(tightest.window.remaining - 1));
+                res.set('RateLimit-Reset', String(Math.ceil((tightest.window.resetAt - now) / 1000)));
+            }
+            next();
+        };
+    }
+
+    /**
+     * Check one client against its limits without counting the request yet
+     * @returns {Object} { exceeded, quota, message, resetAt, window, commit() }
+     */
+    check({ scope, id, perMinute, perDay }, now) {
+        const label = scope === 'key' ? `API key "${id}"` : 'your IP address';
+        const windowKey = `${scope}:${id}`;
+        const day = new Date(now).toISOString().slice(0, 10);
+
+        let window = this.windows.get(windowKey);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + MINUTE_MS };
+        }
+        let daily = this.days.get(windowKey);
+        if (!daily || daily.day !== day) {
+            daily = { count: 0, day };
+        }
+
+        const commit = () => {
+            window.count++;
+            daily.count++;
+            this.windows.set(windowKey, window);
+            this.days.set(windowKey, daily);
+            this.prune(now, day);
+        };
+
+        if (perDay && daily.count >= perDay) {
+            return {
+                exceeded: true,
+                quota: true,
+                resetAt: Date.parse(`${day}T00:00:00.000Z`) + 24 * 60 * MINUTE_MS,
+                message: `Daily quota of ${perDay} extractions for ${label} used up. It resets at midnight UTC.`
+            };
+        }
+        if (perMinute && window.count >= perMinute) {
+            return {
+                exceeded: true,
+                quota: false,
+                resetAt: window.resetAt,
+                message: `Rate limit of ${perMinute} extractions per minute for ${label} exceeded.`
+            };
+        }
+
+        return {
+            exceeded: false,
+            window: perMinute ? { limit: perMinute, remaining: perMinute - window.count, resetAt: window.resetAt } : null,
+            commit
+        };
+    }
+
+    prune(now, day) {
+        this.windows.forEach((window, key) => {
+            if (window.resetAt <= now) this.windows.delete(key);
+        });
+        this.days.forEach((daily, key) => {
+            if (daily.day !== day) this.days.delete(key);
+        });
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function readKeysFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { keys: [] };
+        throw error;
+    }
+}
+
+function writeKeysFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function usage() {
+    console.log(`
+Manage API keys in API_KEYS_FILE
+
+Usage:
+  node access-control.js create <id> [--rate <per minute>] [--quota <per day>]
+  node access-control.js list
+  node access-control.js revoke <id>
+`);
+}
+
+function main(args) {
+    const file = process.env.API_KEYS_FILE ? path.resolve(process.env.API_KEYS_FILE) : null;
+    const [command, id] = args;
+    if (!file || !command) {
+        if (!file) console.error('Set API_KEYS_FILE to the keys file to manage');
+        usage();
+        process.exit(1);
+    }
+
+    const data = readKeysFile(file);
+    // A limit that isn't a non-negative integer would be stored as null and disable it
+    const option = name => {
+        const index = args.indexOf(name);
+        if (index === -1) return undefined;
+        const value = args[index + 1];
+        if (!/^\d+$/.test(value || '')) {
+            console.error(`${name} needs a non-negative integer, got ${value === undefined ? 'nothing' : `"${value}"`}`);
+            usage();
+            process.exit(1);
+        }
+        return parseInt(value, 10);
+    };
+
+    if (command === 'list') {
+        data.keys.forEach(record => {
+            console.log(`${record.id}\t${record.disabled ? 'revoked' : 'active'}\tcreated ${record.createdAt}`
+                + (record.rateLimitPerMinute !== undefined ? `\t${record.rateLimitPerMinute}/min` : '')
+                + (record.dailyQuota !== undefined ? `\t${record.dailyQuota}/day` : ''));
+        });
+    } else if (command === 'create' && id) {
+        if (data.keys.some(record => record.id === id)) {
+            console.error(`Key "${id}" already exists`);
+            process.exit(1);
+        }
+        const key = crypto.randomBytes(24).toString('base64url');
+        const record = { id, keyHash: hashKey(key), createdAt: new Date().toISOString() };
+        if (option('--rate') !== undefined) record.rateLimitPerMinute = option('--rate');
+        if (option('--quota') !== undefined) record.dailyQuota = option('--quota');
+        data.keys.push(record);
+        writeKeysFile(file, data);
+        console.log(`Created key "${id}". It is only shown once:\n\n  ${key}\n`);
+    } else if (command === 'revoke' && id) {
+        const record = data.keys.find(entry => entry.id === id);
+        if (!record) {
+            console.error(`No key "${id}"`);
+            process.exit(1);
+        }
+        record.disabled = true;
+        writeKeysFile(file, data);
+        console.log(`Revoked key "${id}"`);
+    } else {
+        usage();
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = new AccessControl();
+module.exports.AccessControl = AccessControl;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,138 @@
+const { distance } = require('fastest-levenshtein');
+const normalizationHelper = require('./normalization-helper');
+
+// Distinct tokens that fit in one UTF-16 code unit each
+const MAX_CHAR_TOKENS = 0x10000;
+
+class AccuracyHelper {
+    /**
+     * Apply the shared normalization (see normalization-helper.js) and collapse
+     * the remaining line breaks, so layout differences don't count as character errors
+     * @param {string} text - Raw text
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        return normalizationHelper.normalize(text).replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Split text into lowercase word tokens with surrounding punctuation removed
+     * @param {string} text - Raw text
+     * @returns {string[]} Tokens
+     */
+    tokenize(text) {
+        return this.normalizeText(text)
+            .toLowerCase()
+            .split(' ')
+            .map(token => token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Word-level edit distance. Each distinct token is mapped to a single
+     * UTF-16 code unit so the fast string Levenshtein implementation can be
+     * reused; with more distinct tokens than code units the distance is
+     * computed over the token indices instead.
+     * @param {string[]} hypothesis - Hypothesis tokens
+     * @param {string[]} reference - Reference tokens
+     * @returns {number} Edit distance in tokens
+     */
+    tokenDistance(hypothesis, reference) {
+        const vocabulary = new Map();
+        const indices = tokens => tokens.map(token => {
+            if (!vocabulary.has(token)) {
+                vocabulary.set(token, vocabulary.size);
+            }
+            return vocabulary.get(token);
+        });
+        const hypIndices = indices(hypothesis);
+        const refIndices = indices(reference);
+
+        if (vocabulary.size > MAX_CHAR_TOKENS) {
+            return editDistance(hypIndices, refIndices);
+        }
+        const encode = ids => ids.map(id => String.fromCharCode(id)).join('');
+        return distance(encode(hypIndices), encode(refIndices));
+    }
+
+    /**
+     * Score extracted text against a reference transcript
+     * @param {string} hypothesis - Text returned by a provider
+     * @param {string} reference - Ground-truth transcript
+     * @returns {Object} { cer, wer, precision, recall, f1, referenceChars, referenceWords }
+     */
+    score(hypothesis, reference) {
+        const hypText = this.normalizeText(hypothesis);
+        const refText = this.normalizeText(reference);
+        const hypTokens = this.tokenize(hypothesis);
+        const refTokens = this.tokenize(reference);
+
+        const cer = refText.length > 0
+            ? distance(hypText, refText) / refText.length
+            : (hypText.length > 0 ? 1 : 0);
+        const wer = refTokens.length > 0
+            ? this.tokenDistance(hypTokens, refTokens) / refTokens.length
+            : (hypTokens.length > 0 ? 1 : 0);
+
+        // Bag-of-words overlap, counting repeated tokens
+        const refCounts = new Map();
+        refTokens.forEach(token => refCounts.set(token, (refCounts.get(token) || 0) + 1));
+        let matched = 0;
+        hypTokens.forEach(token => {
+            const count = refCounts.get(token);
+            if (count) {
+                matched++;
+                refCounts.set(token, count - 1);
+            }
+        });
+
+        const precision = hypTokens.length > 0 ? matched / hypTokens.length : 0;
+        const recall = refTokens.length > 0 ? matched / refTokens.length : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+        return {
+            cer: cer,
+            wer: wer,
+            precision: precision,
+            recall: recall,
+            f1: f1,
+            referenceChars: refText.length,
+            referenceWords: refTokens.length
+        };
+    }
+}
+
+/**
+ * Levenshtein distance between two arrays of token indices, keeping two rows
+ * of the table. The common prefix and suffix are skipped first, since
+ * extracted text mostly matches its reference.
+ * @param {number[]} a - Token indices
+ * @param {number[]} b - Token indices
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    let previous = new Uint32Array(endB - start + 1).map((_, index) => index);
+    let current = new Uint32Array(endB - start + 1);
+    for (let i = start; i < endA; i++) {
+        current[0] = i - start + 1;
+        for (let j = start; j < endB; j++) {
+            const column = j - start + 1;
+            current[column] = a[i] === b[j]
+                ? previous[column - 1]
+                : 1 + Math.min(previous[column - 1], previous[column], current[column - 1]);
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[endB - start];
+}
+
+module.exports = new AccuracyHelper();
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const providerRegistry = require('./provider-registry');
+const extractionService = require('./extraction-service');
+const fileTypeHelper = require('./file-type-helper');
+
+const USAGE = `Usage: node benchmark.js <document-directory> [options]
+
+Runs every PDF, PNG, JPEG and TIFF in the directory through each registered provider.
+A <name>.txt next to <name>.pdf (or <name>.png, ...) is used as the reference transcript.
+When <name>.pdf and <name>.png share a folder, name their transcripts <name>.pdf.txt and
+<name>.png.txt instead.
+
+Options:
+  --out <dir>            Output directory (default: ./benchmark-results)
+  --concurrency <n>      Maximum provider calls in flight (default: 2)
+  --providers <a,b>      Comma-separated provider ids (default: all configured)
+  --retry-failed         Re-run provider results that failed in a previous run
+  --help                 Show this message
+`;
+
+function parseArgs(argv) {
+    const options = {
+        inputDir: null,
+        outDir: path.resolve('benchmark-results'),
+        concurrency: 2,
+        providers: null,
+        retryFailed: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--out':
+                options.outDir = path.resolve(argv[++i]);
+                break;
+            case '--concurrency':
+                options.concurrency = parseInt(argv[++i], 10);
+                break;
+            case '--providers':
+                options.providers = argv[++i].split(',').map(id => id.trim()).filter(Boolean);
+                break;
+            case '--retry-failed':
+                options.retryFailed = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.inputDir = path.resolve(arg);
+        }
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+    }
+
+    return options;
+}
+
+function resolveProviders(ids) {
+    if (!ids) {
+        return providerRegistry.list().filter(provider => provider.isConfigured());
+    }
+    return ids.map(id => {
+        const provider = providerRegistry.get(id);
+        if (!provider) {
+            throw new Error(`Unknown provider: ${id}`);
+        }
+        return provider;
+    });
+}
+
+/**
+ * Nearest-rank percentile of an ascending-sorted array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function writeJSON(filePath, data) {
+    // Write to a temp file first so an interrupted run never leaves a half-written result
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Documents in the input directory with their reference transcript and
+ * results so far. Results are keyed on the full file name, so invoice.pdf
+ * and invoice.png get separate invoice.pdf.json and invoice.png.json.
+ */
+function loadDocuments(inputDir, resultsDir) {
+    const extensions = fileTypeHelper.types.reduce((all, type) => all.concat(type.extensions), []);
+    const names = fs.readdirSync(inputDir)
+        .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+        .sort();
+    const stems = names.map(name => path.parse(name).name);
+
+    return names.map((name, index) => {
+        const base = stems[index];
+        let referencePath = path.join(inputDir, `${name}.txt`);
+        if (!fs.existsSync(referencePath)) {
+            referencePath = path.join(inputDir, `${base}.txt`);
+            // A shared <name>.txt can't tell which of the documents it transcribes
+            if (fs.existsSync(referencePath) && stems.filter(stem => stem === base).length > 1) {
+                const siblings = names.filter((_, otherIndex) => stems[otherIndex] === base);
+                throw new Error(`${base}.txt could be the reference for ${siblings.join(' or ')}. `
+                    + `Rename it to ${siblings.map(sibling => `${sibling}.txt`).join(' or ')}`);
+            }
+        }
+        const resultPath = path.join(resultsDir, `${name}.json`);
+        const previous = fs.existsSync(resultPath)
+            ? JSON.parse(fs.readFileSync(resultPath, 'utf8'))
+            : null;
+
+        return {
+            name: name,
+            filePath: path.join(inputDir, name),
+            referencePath: fs.existsSync(referencePath) ? referencePath : null,
+            resultPath: resultPath,
+            result: previous || { document: name, reference: null, providers: {} }
+        };
+    });
+}
+
+async function runPool(tasks, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, tasks.length) }, async () => {
+        while (next < tasks.length) {
+            const task = tasks[next++];
+            await worker(task);
+        }
+    });
+    await Promise.all(runners);
+}
+
+async function runTask(doc, provider) {
+    const buffer = fs.readFileSync(doc.filePath);
+    const type = fileTypeHelper.detect(buffer);
+    const reference = doc.referencePath ? fs.readFileSync(doc.referencePath, 'utf8') : null;
+
+    const result = await extractionService.run(provider, {
+        buffer: buffer,
+        mimeType: type ? type.mimeType : 'application/pdf',
+        originalName: doc.name
+    }, { referenceText: reference });
+    const entry = { ...result, chars: result.text.length };
+
+    doc.result.reference = doc.referencePath ? path.basename(doc.referencePath) : null;
+    doc.result.providers[provider.id] = entry;
+    writeJSON(doc.resultPath, doc.result);
+
+    const status = entry.success ? `${entry.time}ms, ${entry.chars} chars` : `FAILED: ${entry.error}`;
+    console.log(`  ${doc.name} [${provider.id}] ${status}`);
+}
+
+function summarize(documents, providers) {
+    const summary = {
+        generatedAt: new Date().toISOString(),
+        documents: documents.length,
+        providers: {}
+    };
+
+    providers.forEach(provider => {
+        const entries = documents
+            .map(doc => doc.result.providers[provider.id])
+            .filter(Boolean);
+        const succeeded = entries.filter(entry => entry.success);
+        const latencies = succeeded.map(entry => entry.time).sort((a, b) => a - b);
+        const scored = succeeded.filter(entry => entry.accuracy);
+        const chars = succeeded.map(entry => entry.chars);
+        const costs = succeeded.filter(entry => entry.cost).map(entry => entry.cost.amount);
+
+        summary.providers[provider.id] = {
+            runs: entries.length,
+            succeeded: succeeded.length,
+            failed: entries.length - succeeded.length,
+            latencyMs: {
+                mean: mean(latencies),
+                p50: percentile(latencies, 50),
+                p90: percentile(latencies, 90),
+                p95: percentile(latencies, 95),
+                p99: percentile(latencies, 99),
+                max: latencies.length ? latencies[latencies.length - 1] : null
+            },
+            characters: {
+                total: chars.reduce((sum, value) => sum + value, 0),
+                mean: mean(chars)
+            },
+            cost: costs.length === 0 ? null : {
+                documents: costs.length,
+                total: costs.reduce((sum, value) => sum + value, 0),
+                mean: mean(costs)
+            },
+            accuracy: scored.length === 0 ? null : {
+                documents: scored.length,
+                cer: mean(scored.map(entry => entry.accuracy.cer)),
+                wer: mean(scored.map(entry => entry.accuracy.wer)),
+                precision: mean(scored.map(entry => entry.accuracy.precision)),
+                recall: mean(scored.map(entry => entry.accuracy.recall))
+            }
+        };
+    });
+
+    return summary;
+}
+
+function printSummary(summary) {
+    const format = value => (value === null ? '-' : String(Math.round(value)));
+    const percent = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+
+    console.log('\n📊 Summary');
+    Object.entries(summary.providers).forEach(([id, stats]) => {
+        console.log(`\n${id}`);
+        console.log(`  runs: ${stats.runs}  succeeded: ${stats.succeeded}  failed: ${stats.failed}`);
+        console.log(`  latency ms  p50: ${format(stats.latencyMs.p50)}  p90: ${format(stats.latencyMs.p90)}  p99: ${format(stats.latencyMs.p99)}  max: ${format(stats.latencyMs.max)}`);
+        console.log(`  characters  total: ${stats.characters.total}  mean: ${format(stats.characters.mean)}`);
+        if (stats.cost) {
+            console.log(`  cost (${stats.cost.documents} docs)  total: ${stats.cost.total.toFixed(4)}  mean: ${stats.cost.mean.toFixed(4)}`);
+        }
+        if (stats.accuracy) {
+            console.log(`  accuracy (${stats.accuracy.documents} docs)  CER: ${percent(stats.accuracy.cer)}  WER: ${percent(stats.accuracy.wer)}  P: ${percent(stats.accuracy.precision)}  R: ${percent(stats.accuracy.recall)}`);
+        }
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.inputDir) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const providers = resolveProviders(options.providers);
+    if (providers.length === 0) {
+        throw new Error('No configured providers to benchmark');
+    }
+
+    const resultsDir = path.join(options.outDir, 'documents');
+    fs.mkdirSync(resultsDir, { recursive: true });
+
+    const documents = loadDocuments(options.inputDir, resultsDir);
+
+    // Resume: skip provider results already on disk (failed ones only with --retry-failed)
+    const tasks = [];
+    documents.forEach(doc => {
+        providers.forEach(provider => {
+            const previous = doc.result.providers[provider.id];
+            if (!previous || (!previous.success && options.retryFailed)) {
+                tasks.push({ doc, provider });
+            }
+        });
+    });
+
+    console.log(`📄 ${documents.length} documents, ${providers.map(p => p.id).join(', ')}`);
+    console.log(`⏩ ${documents.length * providers.length - tasks.length} results already on disk, ${tasks.length} to run (concurrency ${options.concurrency})`);
+
+    await runPool(tasks, options.concurrency, task => runTask(task.doc, task.provider));
+
+    const summary = summarize(documents, providers);
+    writeJSON(path.join(options.outDir, 'summary.json'), summary);
+    printSummary(summary);
+    console.log(`\n✅ Results written to ${options.outDir}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, percentile, summarize, loadDocuments };
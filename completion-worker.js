@@ -0,0 +1,208 @@
+const resultStore = require('./textract-result-store');
+
+// Stored results nobody took are deleted after this long
+const STORED_TTL_MS = 60 * 60 * 1000;
+// Pause after a failed receive before trying the queue again
+const RECEIVE_RETRY_MS = 1000;
+// How long another consumer's message stays hidden from this one after it is
+// handed back, so instances sharing a queue don't bounce it between them
+const RELEASE_VISIBILITY_SECONDS = 10;
+
+/**
+ * Consumes Textract job completion messages from an SQS queue, so jobs don't
+ * have to be polled. Textract publishes to the SNS topic in the job's
+ * NotificationChannel; the topic delivers to the queue, either wrapped in an
+ * SNS envelope or as the raw Textract message:
+ *
+ *   { "JobId": "...", "Status": "SUCCEEDED", "API": "StartDocumentTextDetection", "JobTag": "...", ... }
+ *
+ * The worker long-polls the queue while at least one job is waiting. For
+ * each completion carrying its JobTag it fetches every page of the job's
+ * results, stores them (see textract-result-store.js) and only then deletes
+ * the message, so a completion is never lost: if fetching or storing fails
+ * the message comes back once its visibility timeout runs out. Stored
+ * results go to the job's waiter, or wait on disk for it, since a fast job
+ * can finish before its waiter is registered, or before a restart. Messages
+ * carrying another JobTag are handed back for whichever consumer started
+ * that job, but every receive counts towards the queue's redrive limit, so
+ * each instance should have its own queue or an SNS filter on its JobTag
+ * (see the README).
+ */
+class CompletionWorker {
+    /**
+     * @param {Object} options - { sqs, queueUrl, jobTag, fetchResults, store, waitTimeSeconds } where sqs is an
+     *                           AWS.SQS client (or the stand-in from mock-clients.js), fetchResults(completion)
+     *                           resolves with every Get* response page of the job, and store defaults to the
+     *                           shared TextractResultStore
+     */
+    constructor({ sqs, queueUrl, jobTag, fetchResults, store = resultStore, waitTimeSeconds = 20 }) {
+        this.sqs = sqs;
+        this.queueUrl = queueUrl;
+        this.jobTag = jobTag;
+        this.fetchResults = fetchResults;
+        this.store = store;
+        this.waitTimeSeconds = waitTimeSeconds;
+
+        this.waiters = new Map();
+        this.running = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Wait for a job's results
+     * @param {string} jobId - Textract JobId
+     * @param {number} deadline - Give up at this timestamp
+     * @returns {Promise<?{jobId: string, status: string, api: string, jobTag: ?string, responses: Object[]}>}
+     *          The stored results, or null when none arrived before the deadline
+     */
+    waitFor(jobId, deadline) {
+        this.store.prune(STORED_TTL_MS).catch(error => {
+            console.warn('Failed to prune stored Textract results:', error.message);
+        });
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this.settle(jobId, null), Math.max(0, deadline - Date.now()));
+            this.waiters.set(jobId, { resolve, timer });
+
+            // Results stored before this waiter was registered
+            this.claim(jobId);
+
+            this.stopped = false;
+            if (!this.running) {
+                this.running = this.run().finally(() => {
+                    this.running = null;
+                });
+            }
+        });
+    }
+
+    async run() {
+        while (this.waiters.size > 0 && !this.stopped) {
+            let response;
+            try {
+                response = await this.sqs.receiveMessage({
+                    QueueUrl: this.queueUrl,
+                    MaxNumberOfMessages: 10,
+                    WaitTimeSeconds: this.waitTimeSeconds
+                }).promise();
+            } catch (error) {
+                console.warn('Failed to receive Textract notifications:', error.message);
+                await new Promise(resolve => setTimeout(resolve, RECEIVE_RETRY_MS));
+                continue;
+            }
+
+            await Promise.all((response.Messages || []).map(message => this.handle(message)));
+        }
+    }
+
+    /**
+     * Fetch and store the results of one completed job, then delete its
+     * message and hand the results to the waiter. Messages for another
+     * consumer are released back to the queue.
+     * @param {Object} message - SQS message
+     */
+    async handle(message) {
+        const completion = parseCompletion(message.Body);
+        if (completion && completion.jobTag !== this.jobTag) {
+            await this.release(message);
+            return;
+        }
+
+        if (!completion) {
+            console.warn('Discarding a message that is not a Textract notification:', message.MessageId);
+        } else {
+            try {
+                const responses = await this.fetchResults(completion);
+                await this.store.save({ ...completion, responses });
+            } catch (error) {
+                // Leave the message for another attempt once its visibility timeout ends
+                console.warn(`Failed to fetch and store results of Textract job ${completion.jobId}:`, error.message);
+                return;
+            }
+        }
+
+        try {
+            await this.sqs.deleteMessage({ QueueUrl: this.queueUrl, ReceiptHandle: message.ReceiptHandle }).promise();
+        } catch (error) {
+            console.warn('Failed to delete Textract notification:', error.message);
+        }
+        if (completion) await this.claim(completion.jobId);
+    }
+
+    /**
+     * Hand another consumer's message back to the queue, hidden from this
+     * worker for a short while
+     * @param {Object} message - SQS message
+     */
+    async release(message) {
+        try {
+            await this.sqs.changeMessageVisibility({
+                QueueUrl: this.queueUrl,
+                ReceiptHandle: message.ReceiptHandle,
+                VisibilityTimeout: RELEASE_VISIBILITY_SECONDS
+            }).promise();
+        } catch (error) {
+            console.warn('Failed to release a Textract notification for another consumer:', error.message);
+        }
+    }
+
+    /**
+     * Hand a job's stored results to its waiter, if it has one, and remove
+     * them from the store
+     * @param {string} jobId - Textract JobId
+     */
+    async claim(jobId) {
+        if (!this.waiters.has(jobId)) return;
+        try {
+            const record = await this.store.get(jobId);
+            if (!record || !this.waiters.has(jobId)) return;
+            await this.store.delete(jobId);
+            this.settle(jobId, record);
+        } catch (error) {
+            console.warn(`Failed to read stored results of Textract job ${jobId}:`, error.message);
+        }
+    }
+
+    settle(jobId, record) {
+        const waiter = this.waiters.get(jobId);
+        if (!waiter) return;
+        this.waiters.delete(jobId);
+        clearTimeout(waiter.timer);
+        waiter.resolve(record);
+    }
+
+    /**
+     * Stop receiving; waiting jobs resolve with null
+     * @returns {Promise<void>} Resolves once the current receive call returns
+     */
+    async stop() {
+        this.stopped = true;
+        Array.from(this.waiters.keys()).forEach(jobId => this.settle(jobId, null));
+        await this.running;
+    }
+}
+
+/**
+ * @param {string} body - SQS message body: an SNS envelope or the raw Textract message
+ * @returns {?Object} { jobId, status, api, jobTag }, or null when it isn't a Textract notification
+ */
+function parseCompletion(body) {
+    try {
+        let message = JSON.parse(body);
+        if (message.Type === 'Notification' && typeof message.Message === 'string') {
+            message = JSON.parse(message.Message);
+        }
+        if (!message.JobId || !message.Status) return null;
+
+        return {
+            jobId: message.JobId,
+            status: message.Status,
+            api: message.API || null,
+            jobTag: message.JobTag || null
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { CompletionWorker, parseCompletion };
@@ -0,0 +1,79 @@
+const DEFAULT_THRESHOLD = parseFloat(process.env.CONFIDENCE_THRESHOLD || '90');
+
+/**
+ * Aggregate confidence of the lines and words a provider reported (see the
+ * lines on pages in provider-registry.js). Confidences are percentages
+ * (0-100), as Textract reports them.
+ */
+class ConfidenceHelper {
+    constructor(threshold = DEFAULT_THRESHOLD) {
+        this.threshold = threshold;
+    }
+
+    /**
+     * @param {number[]} values - Confidences
+     * @param {number} threshold - Values below this count as low confidence
+     * @returns {?{count: number, mean: number, min: number, belowThreshold: number}} null without values;
+     *          belowThreshold is the share (0-1) of values under the threshold
+     */
+    stats(values, threshold) {
+        if (values.length === 0) return null;
+
+        // One pass rather than Math.min(...values), which overflows the stack on large documents
+        let sum = 0;
+        let min = Infinity;
+        let below = 0;
+        values.forEach(value => {
+            sum += value;
+            if (value < min) min = value;
+            if (value < threshold) below++;
+        });
+        return {
+            count: values.length,
+            mean: sum / values.length,
+            min: min,
+            belowThreshold: below / values.length
+        };
+    }
+
+    /**
+     * Summarize line and word confidence over every page
+     * @param {Object[]} pages - Result pages, with lines where the provider reports them
+     * @param {number} threshold - Defaults to CONFIDENCE_THRESHOLD (90)
+     * @returns {?{threshold: number, lines: Object, words: ?Object, pages: Object[]}} null when no line has a confidence
+     */
+    summarize(pages = [], threshold = this.threshold) {
+        const confidences = items => items
+            .map(item => item.confidence)
+            .filter(confidence => typeof confidence === 'number');
+
+        const perPage = pages.map(page => {
+            const lines = page.lines || [];
+            return {
+                page: page.page,
+                lines: confidences(lines),
+                words: confidences(lines.flatMap(line => line.words || []))
+            };
+        });
+
+        const lines = perPage.flatMap(page => page.lines);
+        if (lines.length === 0) return null;
+        const words = perPage.flatMap(page => page.words);
+
+        return {
+            threshold: threshold,
+            lines: this.stats(lines, threshold),
+            words: this.stats(words, threshold),
+            pages: perPage
+                .filter(page => page.lines.length > 0)
+                .map(page => ({
+                    page: page.page,
+                    lines: this.stats(page.lines, threshold),
+                    words: this.stats(page.words, threshold)
+                }))
+        };
+    }
+}
+
+module.exports = new ConfidenceHelper();
+module.exports.ConfidenceHelper = ConfidenceHelper;
@@ -0,0 +1,148 @@
+// Error codes returned by the API, with their HTTP status
+const CODES = {
+    invalid_request: { status: 400 },
+    invalid_upload: { status: 400 },
+    unauthorized: { status: 401 },
+    forbidden: { status: 403 },
+    not_found: { status: 404 },
+    file_too_large: { status: 413 },
+    unsupported_document: { status: 422 },
+    safety_blocked: { status: 422 },
+    rate_limited: { status: 429 },
+    quota_exceeded: { status: 429 },
+    throttled: { status: 429 },
+    internal_error: { status: 500 },
+    provider_error: { status: 502 },
+    provider_unavailable: { status: 502 },
+    provider_credentials: { status: 503 },
+    queue_full: { status: 503 },
+    timeout: { status: 504 }
+};
+
+// AWS error codes by the API error code they map to
+const AWS_CODES = {
+    provider_credentials: [
+        'CredentialsError', 'UnrecognizedClientException', 'InvalidSignatureException', 'InvalidClientTokenId',
+        'SignatureDoesNotMatch', 'InvalidAccessKeyId', 'ExpiredToken', 'ExpiredTokenException',
+        'MissingAuthenticationToken', 'AccessDeniedException', 'AccessDenied'
+    ],
+    throttled: [
+        'ProvisionedThroughputExceededException', 'ThrottlingException', 'LimitExceededException',
+        'TooManyRequestsException', 'SlowDown'
+    ],
+    unsupported_document: ['UnsupportedDocumentException', 'BadDocumentException', 'DocumentTooLargeException'],
+    provider_unavailable: [
+        'InternalServerError', 'ServiceUnavailable', 'ServiceUnavailableException', 'NetworkingError',
+        'UnknownEndpoint', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'
+    ],
+    timeout: ['TimeoutError', 'RequestTimeout', 'ETIMEDOUT']
+};
+
+/**
+ * The API's error taxonomy. Every error response has the same shape:
+ *
+ *   { "success": false, "code": "throttled", "error": "Gemini extraction failed: ..." }
+ *
+ * plus `service` on provider routes, and `retryAfter` on 429s from the rate
+ * limiter and on errors created with a `retryAfter` (seconds), such as
+ * queue_full. Extraction results that failed carry the same `code` next to
+ * `error` (see extraction-service.js).
+ *
+ * Errors are typed by setting one of the CODES on `error.code` (see create()).
+ * Errors from the AWS SDK, the Gemini SDK and multer are classified from
+ * their own codes and statuses; provider helpers wrap them with wrap() so
+ * the code survives the added context.
+ */
+class ErrorHelper {
+    /**
+     * @param {string} code - One of CODES
+     * @param {string} message - Message for the client
+     * @param {Error} cause - Underlying error, if any
+     * @returns {Error} Error with code and status set
+     */
+    create(code, message, cause) {
+        const error = new Error(message, cause ? { cause } : undefined);
+        error.code = code;
+        error.status = this.status(code);
+        return error;
+    }
+
+    /**
+     * Add context to a provider error, keeping its classification
+     * @param {Error} error - Error thrown while calling the provider
+     * @param {string} prefix - E.g. 'Textract extraction failed'
+     * @returns {Error} Typed error reading "<prefix>: <message>"
+     */
+    wrap(error, prefix) {
+        return this.create(this.classify(error, 'provider_error'), `${prefix}: ${error.message}`, error);
+    }
+
+    /**
+     * @param {Error} error - Any error
+     * @param {string} fallback - Code for errors nothing else matches
+     * @returns {string} One of CODES
+     */
+    classify(error, fallback = 'internal_error') {
+        if (!error) return fallback;
+        if (this.isCode(error.code)) return error.code;
+
+        if (error.name === 'MulterError') {
+            return error.code === 'LIMIT_FILE_SIZE' ? 'file_too_large' : 'invalid_upload';
+        }
+
+        const awsCode = Object.keys(AWS_CODES).find(code => AWS_CODES[code].includes(error.code));
+        if (awsCode) return awsCode;
+
+        const message = String(error.message || '');
+        if (/blocked due to|blockReason/i.test(message)) return 'safety_blocked';
+        if (/API key not valid|API_KEY_INVALID|unregistered callers/i.test(message)) return 'provider_credentials';
+        if (error.name === 'TypeError' && /fetch failed/i.test(message)) return 'provider_unavailable';
+
+        // HTTP errors from the Gemini SDK carry the response status
+        if (typeof error.status === 'number' && error.statusText !== undefined) {
+            if (error.status === 401 || error.status === 403) return 'provider_credentials';
+            if (error.status === 404) return 'invalid_request';
+            if (error.status === 429) return 'throttled';
+            if (error.status === 504) return 'timeout';
+            if (error.status >= 500) return 'provider_unavailable';
+            return 'provider_error';
+        }
+
+        return fallback;
+    }
+
+    isCode(code) {
+        return typeof code === 'string' && Object.keys(CODES).includes(code);
+    }
+
+    /**
+     * @param {string} code - One of CODES
+     * @returns {number} HTTP status for the code
+     */
+    status(code) {
+        return this.isCode(code) ? CODES[code].status : 500;
+    }
+
+    /**
+     * Send an error in the API's error shape, logging unexpected ones. An
+     * error's retryAfter is sent as the Retry-After header and field.
+     * @param {Object} res - Express response
+     * @param {Error} error - Error to report
+     * @param {Object} extra - Extra fields, e.g. { service }
+     */
+    respond(res, error, extra = {}) {
+        const code = this.classify(error);
+        if (code === 'internal_error') {
+            console.error('Server error:', error);
+        }
+        const retry = {};
+        if (Number.isInteger(error.retryAfter)) {
+            res.set('Retry-After', String(error.retryAfter));
+            retry.retryAfter = error.retryAfter;
+        }
+        res.status(this.status(code)).json({ success: false, ...extra, code: code, error: error.message, ...retry });
+    }
+}
+
+module.exports = new ErrorHelper();
+module.exports.ErrorHelper = ErrorHelper;
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const accuracyHelper = require('./accuracy-helper');
+const structuredHelper = require('./structured-helper');
+const resultCache = require('./result-cache');
+const providerRegistry = require('./provider-registry');
+const fileTypeHelper = require('./file-type-helper');
+const pricingHelper = require('./pricing-helper');
+const usageLedger = require('./usage-ledger');
+const confidenceHelper = require('./confidence-helper');
+const normalizationHelper = require('./normalization-helper');
+const errorHelper = require('./error-helper');
+
+class ExtractionService {
+    /**
+     * Run one provider and shape the result the way the API returns it.
+     * Successful results are cached on the file's content hash, so an
+     * identical upload with the same settings is not billed again.
+     * Unavailable providers (see availability() in provider-registry.js) are
+     * not called. Provider errors are reported in the result instead of rejecting, with
+     * `code` classifying them (see error-helper.js).
+     * Alongside the raw text the result carries the normalized text and pages
+     * (see normalization-helper.js) that accuracy scores are computed on.
+     * Billable usage is priced with pricing-helper.js and added to the usage
+     * ledger, except for cache hits, which repeat the original estimate
+     * without being billed again.
+     * @param {Object} provider - Registered provider (see provider-registry.js)
+     * @param {Object} file - { buffer, mimeType, originalName, sha256? }, or a reference to a document
+     *                        the provider reads in place: { location, mimeType, originalName, etag }
+     *                        (see resolveReference in provider-registry.js)
+     * @param {Object} options - { mode, settings, target, label, referenceText, onProgress(stage, message) }
+     * @returns {Promise<Object>} { success, service, target, label, model, settings, mode, text, pages, normalized, time, structured, warnings, confidence, usage, cost, accuracy, cache, code, error }
+     */
+    async run(provider, file, options = {}) {
+        const mode = structuredHelper.resolveMode(options.mode);
+        const referenceText = options.referenceText === undefined ? null : options.referenceText;
+        const onProgress = options.onProgress || (() => {});
+        const score = text => (referenceText !== null ? accuracyHelper.score(text, referenceText) : null);
+        const startTime = Date.now();
+
+        const base = {
+            service: provider.id,
+            target: options.target || provider.id,
+            label: options.label || null,
+            model: null,
+            settings: null,
+            mode: mode
+        };
+        const failure = error => ({
+            success: false,
+            ...base,
+            text: '',
+            pages: [],
+            normalized: null,
+            time: Date.now() - startTime,
+            structured: null,
+            warnings: [],
+            confidence: null,
+            usage: null,
+            cost: null,
+            accuracy: null,
+            cache: { status: resultCache.enabled ? 'miss' : 'disabled', cachedAt: null },
+            code: errorHelper.classify(error, 'provider_error'),
+            error: error.message
+        });
+
+        const { available, reason } = providerRegistry.availability(provider);
+        if (!available) {
+            return failure(errorHelper.create('provider_credentials', `${provider.name} is unavailable: ${reason}`));
+        }
+
+        // References aren't uploaded, so only the provider's own limits apply to them
+        const sizeError = file.buffer ? providerRegistry.uploadSizeError(provider, file.buffer.length) : null;
+        if (sizeError) {
+            return failure(errorHelper.create('file_too_large', sizeError));
+        }
+
+        if (!providerRegistry.accepts(provider, file.mimeType)) {
+            const type = fileTypeHelper.get(file.mimeType);
+            return failure(errorHelper.create('unsupported_document', `${provider.name} does not accept ${type ? type.label : file.mimeType} files`));
+        }
+
+        try {
+            base.settings = providerRegistry.resolveSettings(provider, { mode, settings: options.settings });
+            base.model = base.settings.model || null;
+        } catch (error) {
+            return failure(errorHelper.create('invalid_request', error.message, error));
+        }
+
+        const cacheKey = resultCache.key({
+            // A reference is identified by its URL and ETag, which changes when the object is replaced
+            fileHash: file.buffer
+                ? file.sha256 || crypto.createHash('sha256').update(file.buffer).digest('hex')
+                : `${file.location.url}#${file.etag}`,
+            provider: provider.id,
+            mode: mode,
+            settings: base.settings
+        });
+        const cached = resultCache.enabled ? resultCache.get(cacheKey) : null;
+        if (cached) {
+            onProgress('cache', 'Using cached result');
+            return {
+                ...cached.value,
+                ...base,
+                accuracy: score(cached.value.text),
+                cache: { status: 'hit', cachedAt: new Date(cached.cachedAt).toISOString() }
+            };
+        }
+
+        try {
+            const result = await provider.extract(file, {
+                mode: mode,
+                settings: options.settings,
+                onProgress: onProgress
+            });
+
+            const pages = result.pages || [{ page: 1, text: result.text }];
+            const usage = result.usage || null;
+            const cost = pricingHelper.estimate(provider.id, base.model, usage);
+            const response = {
+                success: true,
+                ...base,
+                text: result.text,
+                pages: pages,
+                normalized: normalizationHelper.normalizeResult({ text: result.text, pages }),
+                time: Date.now() - startTime,
+                structured: result.structured || null,
+                warnings: result.warnings || [],
+                confidence: confidenceHelper.summarize(pages),
+                usage: usage,
+                cost: cost,
+                accuracy: score(result.text),
+                cache: { status: resultCache.enabled ? 'miss' : 'disabled', cachedAt: null },
+                code: null,
+                error: null
+            };
+
+            resultCache.set(cacheKey, response);
+            await usageLedger.record({ provider: provider.id, model: base.model, usage, cost });
+            return response;
+        } catch (error) {
+            console.error(`${provider.name} error:`, error);
+            return failure(error);
+        }
+    }
+}
+
+module.exports = new ExtractionService();
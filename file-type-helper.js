@@ -0,0 +1,141 @@
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Supported upload formats. Files are identified by their leading bytes,
+ * since browsers are inconsistent about the MIME type they report (TIFF
+ * in particular often arrives as application/octet-stream).
+ */
+const FILE_TYPES = [
+    {
+        mimeType: 'application/pdf',
+        label: 'PDF',
+        extensions: ['.pdf'],
+        multiPage: true,
+        matches: buffer => buffer.slice(0, 5).toString('latin1') === '%PDF-'
+    },
+    {
+        mimeType: 'image/png',
+        label: 'PNG',
+        extensions: ['.png'],
+        multiPage: false,
+        matches: buffer => buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    },
+    {
+        mimeType: 'image/jpeg',
+        label: 'JPEG',
+        extensions: ['.jpg', '.jpeg'],
+        multiPage: false,
+        matches: buffer => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+    },
+    {
+        mimeType: 'image/tiff',
+        label: 'TIFF',
+        extensions: ['.tif', '.tiff'],
+        multiPage: true,
+        matches: buffer => ['49492a00', '4d4d002a'].includes(buffer.slice(0, 4).toString('hex'))
+    }
+];
+
+class FileTypeHelper {
+    constructor() {
+        this.types = FILE_TYPES;
+    }
+
+    /**
+     * @returns {string} Human readable list, e.g. "PDF, PNG, JPEG or TIFF"
+     */
+    describe() {
+        const labels = this.types.map(type => type.label);
+        return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+    }
+
+    /**
+     * Whether an upload looks acceptable from its declared MIME type or extension
+     * (used by the multer file filter, before the content is available)
+     * @param {string} mimeType - MIME type reported by the client
+     * @param {string} fileName - Original file name
+     * @returns {boolean}
+     */
+    isAccepted(mimeType, fileName = '') {
+        const extension = path.extname(fileName).toLowerCase();
+        return this.types.some(type =>
+            type.mimeType === mimeType || type.extensions.includes(extension)
+        );
+    }
+
+    /**
+     * Identify a file from its content
+     * @param {Buffer} buffer - File content
+     * @returns {Object|null} File type, or null when unsupported
+     */
+    detect(buffer) {
+        return this.types.find(type => type.matches(buffer)) || null;
+    }
+
+    /**
+     * @param {string} mimeType - Canonical MIME type
+     * @returns {Object|null} File type
+     */
+    get(mimeType) {
+        return this.types.find(type => type.mimeType === mimeType) || null;
+    }
+
+    /**
+     * Identify a file from its extension, for documents that aren't downloaded
+     * (such as S3 references)
+     * @param {string} fileName - File name or key
+     * @returns {Object|null} File type
+     */
+    fromFileName(fileName) {
+        const extension = path.extname(fileName || '').toLowerCase();
+        return this.types.find(type => type.extensions.includes(extension)) || null;
+    }
+
+    /**
+     * @param {Buffer} buffer - File content
+     * @param {string} mimeType - Canonical MIME type
+     * @returns {Promise<?number>} Number of pages, or null when the file can't be parsed
+     */
+    async countPages(buffer, mimeType) {
+        const type = this.get(mimeType);
+        if (type && !type.multiPage) return 1;
+
+        if (mimeType === 'application/pdf') {
+            try {
+                return (await PDFDocument.load(buffer, { ignoreEncryption: true })).getPageCount();
+            } catch (error) {
+                return null;
+            }
+        }
+        if (mimeType === 'image/tiff') {
+            return tiffPageCount(buffer);
+        }
+        return null;
+    }
+}
+
+/**
+ * Count the image file directories (one per page) of a classic TIFF
+ * @param {Buffer} buffer - TIFF content
+ * @returns {?number} Pages, or null when the directory chain is broken
+ */
+function tiffPageCount(buffer) {
+    if (buffer.length < 8) return null;
+    const little = buffer.slice(0, 2).toString('latin1') === 'II';
+    const read16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const read32 = offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    const seen = new Set();
+    let offset = read32(4);
+    while (offset !== 0) {
+        if (seen.has(offset) || offset + 2 > buffer.length) return null;
+        seen.add(offset);
+        const next = offset + 2 + read16(offset) * 12;
+        if (next + 4 > buffer.length) return null;
+        offset = read32(next);
+    }
+    return seen.size || null;
+}
+
+module.exports = new FileTypeHelper();
@@ -1,5 +1,14 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleAIFileManager } = require('@google/generative-ai/server');
+const { PDFDocument } = require('pdf-lib');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const structuredHelper = require('./structured-helper');
+const mockClients = require('./mock-clients');
+const errorHelper = require('./error-helper');
+const tiffHelper = require('./tiff-helper');
 
 // Polyfills for fetch, Headers, and Response in Node.js < 18
 if (!globalThis.fetch) {
@@ -10,48 +19,562 @@ if (!globalThis.fetch) {
     globalThis.Request = fetch.Request;
 }
 
+const MB = 1024 * 1024;
+const FILE_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+// Finish and block reasons for content Gemini refused to return
+const SAFETY_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY']);
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
 class GeminiHelper {
-    constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    /**
+     * @param {Object} clients - Optional { genAI, fileManager } overriding the clients built from
+     *                           GEMINI_API_KEY (or the mocks, see mock-clients.js)
+     */
+    constructor(clients = {}) {
+        this.id = 'gemini';
+        this.name = 'Google Gemini 3 Pro';
+        this.description = 'Fast & Efficient';
+        this.icon = '🤖';
+        this.accent = '#667eea';
+        // Gemini reads PDFs and common image formats but not TIFF, so TIFFs are converted to PDF first
+        this.inputTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/tiff'];
+        this.maxUploadBytes = numberFromEnv('GEMINI_MAX_UPLOAD_MB', 50) * MB;
+
+        // Requests are capped at 20MB including base64 overhead; larger files use the File API
+        this.inlineMaxBytes = numberFromEnv('GEMINI_INLINE_MAX_MB', 14) * MB;
+        // Longer PDFs are split so each response stays within the output token limit (0 disables)
+        this.chunkPages = Math.floor(numberFromEnv('GEMINI_CHUNK_PAGES', 20));
+        this.chunkConcurrency = Math.max(1, Math.floor(numberFromEnv('GEMINI_CHUNK_CONCURRENCY', 3)));
+        // Names of File API uploads that still need deleting
+        this.uploadedFiles = new Set();
+        // How often an upload that is still PROCESSING is checked
+        this.filePollIntervalMs = 2000;
+
+        this.useClients(clients);
+        // Marker the model is asked to emit at the start of every page
+        this.pageMarker = /^\s*\[\[PAGE (\d+)\]\]\s*$/gm;
+
         // Using Gemini 3 Pro Preview - generally available in Google AI Studio (2026)
-        this.model = this.genAI.getGenerativeModel({
-            model: "gemini-3-pro-preview",
-            generationConfig: {
-                temperature: 0.1, // Lower temperature for more consistent extraction
+        this.defaultModel = 'gemini-3-pro-preview';
+        // Models offered in the UI; any valid model name is accepted by the API
+        this.models = (process.env.GEMINI_MODELS || 'gemini-3-pro-preview,gemini-2.5-pro,gemini-2.5-flash,gemini-2.0-flash')
+            .split(',').map(model => model.trim()).filter(Boolean);
+        this.defaultGenerationConfig = {
+            temperature: 0.1, // Lower temperature for more consistent extraction
+        };
+        // Numeric generation settings that may be overridden per request, with their valid ranges
+        this.generationConfigLimits = {
+            temperature: { min: 0, max: 2 },
+            topP: { min: 0, max: 1 },
+            topK: { min: 1, max: 1000, integer: true },
+            maxOutputTokens: { min: 1, max: 1000000, integer: true }
+        };
+
+        const pageInstruction = 'Begin each page with a line containing only [[PAGE n]], where n is the 1-based page number. Return only the page markers and the extracted text without any additional commentary.';
+        this.promptPresets = {
+            verbatim: {
+                label: 'Verbatim',
+                prompt: `Extract all text from this document exactly as written, without any formatting. ${pageInstruction}`
             },
-        });
+            markdown: {
+                label: 'Markdown-preserving',
+                prompt: `Transcribe all text from this document as Markdown, preserving headings, lists, emphasis and tables (as Markdown tables). ${pageInstruction}`
+            },
+            'reading-order': {
+                label: 'Reading-order aware',
+                prompt: `Extract all text from this document in natural reading order. For multi-column layouts, read each column top to bottom before moving to the next; keep headers, footers and captions next to the content they belong to; separate paragraphs with a blank line. ${pageInstruction}`
+            }
+        };
+        this.defaultPreset = 'verbatim';
+
+        this.structuredPrompt = [
+            'Extract the content of this document as JSON with exactly this shape:',
+            '{"pages": [{"page": 1, "text": "all text on the page"}],',
+            ' "tables": [{"page": 1, "rows": [["header cell", "..."], ["cell", "..."]]}],',
+            ' "keyValues": [{"page": 1, "key": "form field label", "value": "form field value"}]}',
+            'Include every table with its header row first and every form field as a key/value pair.',
+            'Use 1-based page numbers and empty strings for empty cells or values.',
+            'Return only the JSON.'
+        ].join('\n');
+    }
+
+    /**
+     * Swap the Gemini clients, e.g. for tests
+     * @param {Object} clients - { genAI, fileManager }
+     */
+    useClients({ genAI, fileManager } = {}) {
+        const defaults = genAI ? {} : (mockClients.enabled
+            ? mockClients.gemini()
+            : {
+                genAI: new GoogleGenerativeAI(process.env.GEMINI_API_KEY),
+                fileManager: new GoogleAIFileManager(process.env.GEMINI_API_KEY)
+            });
+        this.genAI = genAI || defaults.genAI;
+        this.fileManager = fileManager || defaults.fileManager || null;
+        this.injected = Boolean(genAI) || mockClients.enabled;
+    }
+
+    isConfigured() {
+        return this.configIssues().length === 0;
+    }
+
+    /**
+     * Why the provider can't run with the current configuration (see provider-registry.js)
+     * @returns {string[]} Problems, empty when it can run
+     */
+    configIssues() {
+        if (this.injected || process.env.GEMINI_API_KEY) return [];
+        return ['GEMINI_API_KEY is not set'];
     }
 
     /**
-     * Extract text from PDF using Google Gemini
-     * @param {Buffer} fileBuffer - PDF file buffer
-     * @param {string} mimeType - File MIME type
-     * @returns {Promise<string>} Extracted text
+     * Live readiness check for /api/health: counting tokens with the default
+     * model resolves the model and exercises the API key without billing
+     * @returns {Promise<Object[]>} [{ name, ok, message }]
      */
-    async extractTextFromPDF(fileBuffer, mimeType = 'application/pdf') {
+    async checkReadiness() {
         try {
-            // Convert buffer to base64
-            const base64Data = fileBuffer.toString('base64');
+            await this.genAI.getGenerativeModel({ model: this.defaultModel }).countTokens('ping');
+            return [{ name: 'model', ok: true, message: `${this.defaultModel} is available` }];
+        } catch (error) {
+            return [{ name: 'model', ok: false, message: `${this.defaultModel} could not be resolved: ${error.message}` }];
+        }
+    }
 
-            const imagePart = {
-                inlineData: {
-                    data: base64Data,
-                    mimeType: mimeType
-                }
+    /**
+     * Options the UI can offer for this provider
+     * @returns {Object} Settings schema
+     */
+    settingsSchema() {
+        return {
+            models: this.models,
+            defaultModel: this.defaultModel,
+            promptPresets: Object.entries(this.promptPresets).map(([id, preset]) => ({ id, label: preset.label })),
+            defaultPreset: this.defaultPreset,
+            customPrompt: true,
+            generationConfig: this.defaultGenerationConfig,
+            generationConfigLimits: this.generationConfigLimits
+        };
+    }
+
+    /**
+     * Resolve per-request settings against the defaults. Throws on invalid input.
+     * @param {Object} options - { mode, settings: { model, promptPreset, prompt, generationConfig } }
+     * @returns {Object} { model, promptPreset, prompt, generationConfig }
+     */
+    resolveSettings(options = {}) {
+        const requested = options.settings || {};
+
+        const model = requested.model ? String(requested.model).trim() : this.defaultModel;
+        if (!/^[a-z0-9][a-z0-9.-]*$/i.test(model)) {
+            throw new Error(`Invalid Gemini model name: ${model}`);
+        }
+
+        const generationConfig = { ...this.defaultGenerationConfig };
+        Object.entries(requested.generationConfig || {}).forEach(([key, value]) => {
+            const limits = this.generationConfigLimits[key];
+            if (!limits) {
+                throw new Error(`Unsupported generationConfig setting: ${key}`);
+            }
+            if (value === null || value === '') return;
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < limits.min || number > limits.max ||
+                (limits.integer && !Number.isInteger(number))) {
+                throw new Error(`Invalid generationConfig.${key}: ${value}`);
+            }
+            generationConfig[key] = number;
+        });
+
+        if (structuredHelper.resolveMode(options.mode) === 'tables-forms') {
+            // Tables & forms always uses the JSON prompt
+            return {
+                model: model,
+                promptPreset: 'tables-forms',
+                prompt: this.structuredPrompt,
+                generationConfig: { ...generationConfig, responseMimeType: 'application/json' }
             };
+        }
 
-            const prompt = "Extract all text from this PDF document. Return only the extracted text without any additional commentary or formatting.";
+        if (requested.prompt && String(requested.prompt).trim()) {
+            return {
+                model: model,
+                promptPreset: 'custom',
+                prompt: String(requested.prompt).trim(),
+                generationConfig: generationConfig
+            };
+        }
+
+        const presetId = requested.promptPreset || this.defaultPreset;
+        const preset = this.promptPresets[presetId];
+        if (!preset) {
+            throw new Error(`Unknown prompt preset: ${presetId}`);
+        }
+
+        return {
+            model: model,
+            promptPreset: presetId,
+            prompt: preset.prompt,
+            generationConfig: generationConfig
+        };
+    }
 
-            const result = await this.model.generateContent([prompt, imagePart]);
+    /**
+     * Provider interface entry point (see provider-registry.js)
+     * @param {Object} file - { buffer, mimeType, originalName }
+     * @param {Object} options - { mode: 'text' | 'tables-forms', settings, onProgress(stage, message) }
+     * @returns {Promise<{text: string, pages: Object[], structured: ?Object}>} Extraction result
+     */
+    async extract(file, options = {}) {
+        return this.extractTextFromFile(file.buffer, file.mimeType, options);
+    }
+
+    /**
+     * Split model output on the [[PAGE n]] markers requested in the prompt.
+     * Falls back to a single page when the model ignored the instruction.
+     * @param {string} rawText - Model output
+     * @returns {{text: string, pages: Array<{page: number, text: string}>}}
+     */
+    splitPages(rawText) {
+        const markers = Array.from(rawText.matchAll(this.pageMarker));
+        if (markers.length === 0) {
+            const text = rawText.trim();
+            return { text, pages: [{ page: 1, text }] };
+        }
+
+        const pages = markers.map((marker, index) => {
+            const start = marker.index + marker[0].length;
+            const end = index + 1 < markers.length ? markers[index + 1].index : rawText.length;
+            return {
+                page: parseInt(marker[1], 10),
+                text: rawText.slice(start, end).trim()
+            };
+        });
+
+        return {
+            text: pages.map(page => page.text).join('\n\n'),
+            pages: pages
+        };
+    }
+
+    /**
+     * Parse the JSON requested in tables & forms mode
+     * @param {string} rawText - Model output
+     * @returns {{text: string, pages: Object[], structured: Object}}
+     */
+    parseStructuredResponse(rawText) {
+        let data;
+        try {
+            // Tolerate a ```json fence even though a JSON response was requested
+            data = JSON.parse(rawText.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+        } catch (error) {
+            throw new Error('Gemini returned invalid JSON for tables & forms mode');
+        }
+
+        const pages = (Array.isArray(data.pages) ? data.pages : [])
+            .map(page => ({
+                page: parseInt(page.page, 10) || 1,
+                text: String(page.text || '').trim()
+            }));
+
+        return {
+            text: pages.map(page => page.text).join('\n\n'),
+            pages: pages,
+            structured: structuredHelper.normalize(data)
+        };
+    }
+
+    /**
+     * Extract text from a PDF or image using Google Gemini. PDFs longer than
+     * chunkPages are split into page ranges that run in parallel and are
+     * reassembled in page order; anything larger than inlineMaxBytes goes
+     * through the File API instead of being inlined.
+     * @param {Buffer} fileBuffer - File buffer
+     * @param {string} mimeType - File MIME type (one of this.inputTypes)
+     * @param {Object} options - { mode: 'text' | 'tables-forms', settings (see resolveSettings), onProgress(stage, message) }
+     * @returns {Promise<{text: string, pages: Array<{page: number, text: string}>, structured: ?Object, usage: ?Object}>} Extracted text, overall and per page,
+     *          and the token usage summed over every request
+     */
+    async extractTextFromFile(fileBuffer, mimeType = 'application/pdf', options = {}) {
+        const progress = options.onProgress || (() => {});
+        const analyze = structuredHelper.resolveMode(options.mode) === 'tables-forms';
+
+        try {
+            const settings = this.resolveSettings(options);
+            const model = this.genAI.getGenerativeModel({
+                model: settings.model,
+                generationConfig: settings.generationConfig,
+            });
+
+            if (mimeType === 'image/tiff') {
+                const converted = await tiffHelper.toPdf(fileBuffer);
+                progress('converting', `Converted ${converted.pages} TIFF page${converted.pages === 1 ? '' : 's'} to PDF`);
+                fileBuffer = converted.buffer;
+                mimeType = 'application/pdf';
+            }
+
+            const chunks = mimeType === 'application/pdf' ? await this.splitPdf(fileBuffer) : null;
+            if (!chunks) {
+                return await this.generate(model, settings, fileBuffer, mimeType, { analyze, progress });
+            }
+
+            const pageCount = chunks[chunks.length - 1].lastPage;
+            progress('chunking', `Split ${pageCount} pages into ${chunks.length} chunks of up to ${this.chunkPages} pages`);
+
+            const results = await mapWithConcurrency(chunks, this.chunkConcurrency, async (chunk, index) => {
+                const label = `chunk ${index + 1}/${chunks.length}, pages ${chunk.firstPage}-${chunk.lastPage}`;
+                const result = await this.generate(model, settings, chunk.buffer, mimeType, { analyze, progress, label });
+                return this.offsetPages(result, chunk.firstPage - 1);
+            });
+
+            progress('parsing', 'Reassembling chunks in page order');
+            return this.mergeChunks(results, analyze);
+        } catch (error) {
+            console.error('Gemini extraction error:', error);
+            throw errorHelper.wrap(error, 'Gemini extraction failed');
+        }
+    }
+
+    /**
+     * One generateContent call for a whole file or a chunk of it
+     * @param {Object} options - { analyze, progress, label } where label names the chunk
+     */
+    async generate(model, settings, fileBuffer, mimeType, { analyze, progress, label = null }) {
+        const suffix = label ? ` [${label}]` : '';
+        let uploaded = null;
+
+        try {
+            let filePart;
+            if (fileBuffer.length > this.inlineMaxBytes) {
+                progress('uploading', `Uploading ${(fileBuffer.length / (1024 * 1024)).toFixed(1)}MB to the Gemini File API${suffix}`);
+                uploaded = await this.uploadFile(fileBuffer, mimeType);
+                filePart = { fileData: { mimeType: uploaded.mimeType, fileUri: uploaded.uri } };
+            } else {
+                filePart = { inlineData: { data: fileBuffer.toString('base64'), mimeType: mimeType } };
+            }
+
+            progress('generating', `Waiting for ${settings.model} (${settings.promptPreset} prompt)${suffix}`);
+
+            const result = await model.generateContent([settings.prompt, filePart]);
             const response = await result.response;
+            this.checkFinishReason(response, label);
+            const usage = this.usageFrom(response);
+
+            if (analyze) {
+                progress('parsing', `Parsing structured response${suffix}`);
+                return { ...this.parseStructuredResponse(response.text()), usage };
+            }
+
             const text = response.text();
 
-            return text;
+            progress('parsing', `Splitting response into pages${suffix}`);
+            return { ...this.splitPages(text), structured: null, usage };
+        } finally {
+            if (uploaded) {
+                await this.deleteFile(uploaded.name);
+            }
+        }
+    }
+
+    /**
+     * Billable token counts from a response's usageMetadata
+     * @param {Object} response - generateContent response
+     * @returns {?{inputTokens: number, outputTokens: number, thinkingTokens: number}} null when not reported
+     */
+    usageFrom(response) {
+        const metadata = response.usageMetadata;
+        if (!metadata) return null;
+
+        return {
+            inputTokens: metadata.promptTokenCount || 0,
+            outputTokens: metadata.candidatesTokenCount || 0,
+            thinkingTokens: metadata.thoughtsTokenCount || 0
+        };
+    }
+
+    /**
+     * Fail instead of returning partial text when generation stopped early or
+     * the prompt or response was blocked
+     * @param {Object} response - generateContent response
+     * @param {?string} label - Chunk description for the message
+     */
+    checkFinishReason(response, label) {
+        const candidate = (response.candidates || [])[0];
+        const reason = candidate && candidate.finishReason;
+        const where = label ? ` (${label})` : '';
+        const blockReason = response.promptFeedback && response.promptFeedback.blockReason;
+
+        if (!candidate && blockReason) {
+            throw errorHelper.create('safety_blocked', `The document was blocked by Gemini's safety filters (${blockReason})${where}`);
+        }
+        if (SAFETY_REASONS.has(reason)) {
+            throw errorHelper.create('safety_blocked', `Gemini withheld the response (finish reason ${reason})${where}`);
+        }
+        if (reason === 'MAX_TOKENS') {
+            throw new Error(`Response truncated at the output token limit${where}. Increase maxOutputTokens or lower GEMINI_CHUNK_PAGES`);
+        }
+        if (reason && reason !== 'STOP') {
+            throw new Error(`Response stopped early with finish reason ${reason}${where}`);
+        }
+    }
+
+    /**
+     * Split a PDF into chunks of at most chunkPages pages
+     * @param {Buffer} fileBuffer - PDF buffer
+     * @returns {Promise<?Object[]>} [{ buffer, firstPage, lastPage }], or null when it fits in one request
+     *                               (or can't be parsed, in which case Gemini gets the file as-is)
+     */
+    async splitPdf(fileBuffer) {
+        if (!this.chunkPages) return null;
+
+        let source;
+        let pageCount;
+        try {
+            source = await PDFDocument.load(fileBuffer, { ignoreEncryption: true });
+            pageCount = source.getPageCount();
         } catch (error) {
-            console.error('Gemini extraction error:', error);
-            throw new Error(`Gemini extraction failed: ${error.message}`);
+            console.warn('Could not parse PDF for chunking, sending it whole:', error.message);
+            return null;
+        }
+
+        if (pageCount <= this.chunkPages) return null;
+
+        const chunks = [];
+        for (let first = 0; first < pageCount; first += this.chunkPages) {
+            const indices = [];
+            for (let page = first; page < Math.min(first + this.chunkPages, pageCount); page++) {
+                indices.push(page);
+            }
+
+            const chunk = await PDFDocument.create();
+            const pages = await chunk.copyPages(source, indices);
+            pages.forEach(page => chunk.addPage(page));
+
+            chunks.push({
+                buffer: Buffer.from(await chunk.save()),
+                firstPage: first + 1,
+                lastPage: first + indices.length
+            });
         }
+        return chunks;
+    }
+
+    /**
+     * Shift chunk-relative page numbers to document page numbers
+     */
+    offsetPages(result, offset) {
+        const shift = item => ({ ...item, page: item.page + offset });
+        return {
+            ...result,
+            pages: result.pages.map(shift),
+            structured: result.structured && {
+                tables: result.structured.tables.map(shift),
+                keyValues: result.structured.keyValues.map(shift)
+            }
+        };
     }
+
+    /**
+     * Combine chunk results (already in page order)
+     */
+    mergeChunks(results, analyze) {
+        const pages = results.reduce((all, result) => all.concat(result.pages), []);
+        const usages = results.map(result => result.usage).filter(Boolean);
+        const sum = field => usages.reduce((total, usage) => total + usage[field], 0);
+        return {
+            text: pages.map(page => page.text).join('\n\n'),
+            pages: pages,
+            structured: analyze
+                ? {
+                    tables: results.reduce((all, result) => all.concat(result.structured.tables), []),
+                    keyValues: results.reduce((all, result) => all.concat(result.structured.keyValues), [])
+                }
+                : null,
+            usage: usages.length
+                ? { inputTokens: sum('inputTokens'), outputTokens: sum('outputTokens'), thinkingTokens: sum('thinkingTokens') }
+                : null
+        };
+    }
+
+    /**
+     * Upload through the Gemini File API and wait until it can be used
+     * @returns {Promise<Object>} File metadata { name, uri, mimeType, state }
+     */
+    async uploadFile(fileBuffer, mimeType) {
+        if (!this.fileManager) {
+            throw new Error('No Gemini File API client configured for large files');
+        }
+
+        // The SDK uploads from a path, so stage the buffer in a temp file
+        const tempPath = path.join(os.tmpdir(), `gemini-upload-${crypto.randomUUID()}`);
+        await fs.promises.writeFile(tempPath, fileBuffer);
+
+        let file;
+        try {
+            const upload = await this.fileManager.uploadFile(tempPath, { mimeType, displayName: path.basename(tempPath) });
+            file = upload.file;
+            this.uploadedFiles.add(file.name);
+        } finally {
+            await fs.promises.unlink(tempPath).catch(() => {});
+        }
+
+        // The caller only deletes files it got back, so clean up here when waiting fails
+        const name = file.name;
+        try {
+            const deadline = Date.now() + FILE_PROCESSING_TIMEOUT_MS;
+            while (file.state === 'PROCESSING') {
+                if (Date.now() > deadline) {
+                    throw errorHelper.create('timeout', 'Timed out waiting for the Gemini File API to process the upload');
+                }
+                await new Promise(resolve => setTimeout(resolve, this.filePollIntervalMs));
+                file = await this.fileManager.getFile(name);
+            }
+            if (file.state === 'FAILED') {
+                throw new Error('The Gemini File API could not process the upload');
+            }
+        } catch (error) {
+            await this.deleteFile(name);
+            throw error;
+        }
+        return file;
+    }
+
+    async deleteFile(name) {
+        try {
+            await this.fileManager.deleteFile(name);
+            this.uploadedFiles.delete(name);
+        } catch (error) {
+            console.warn(`Failed to delete Gemini file ${name}:`, error.message);
+        }
+    }
+
+    /**
+     * Provider shutdown hook (see provider-registry.js): delete File API
+     * uploads of extractions that are still running
+     */
+    async shutdown() {
+        await Promise.all(Array.from(this.uploadedFiles, name => this.deleteFile(name)));
+    }
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping result order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
 }
 
 module.exports = new GeminiHelper();
+module.exports.GeminiHelper = GeminiHelper;
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const extractionService = require('./extraction-service');
+const runStore = require('./run-store');
+const structuredHelper = require('./structured-helper');
+const errorHelper = require('./error-helper');
+
+// Finished jobs are kept in memory this long so clients can still fetch results
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+// Suggested wait before resubmitting when the queue is full
+const QUEUE_RETRY_SECONDS = 30;
+
+const intFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * In-memory extraction jobs. Each job runs its targets in parallel, is
+ * saved to the run history when it finishes, and emits `job:<id>` events
+ * with one of the following types:
+ *   - status   { status, position } while queued and when it starts running
+ *   - progress { target, provider, stage, message }
+ *   - result   { target, provider, result }
+ *   - done     { job }
+ *
+ * A target is one provider with one set of settings, so the same provider
+ * can run several times per job (e.g. two Gemini models). Its id is the
+ * provider id, or `<provider>:<label>` when a provider has several targets.
+ *
+ * At most JOB_CONCURRENCY jobs (default 2) run at once; later ones wait in
+ * a first-in, first-out queue with status `queued`. Queued jobs hold their
+ * upload in memory, so at most MAX_QUEUED_JOBS (default 50) may wait; past
+ * that create() throws a queue_full error. A limit of 0 disables it.
+ */
+class JobManager extends EventEmitter {
+    constructor({
+        concurrency = intFromEnv('JOB_CONCURRENCY', 2),
+        maxQueued = intFromEnv('MAX_QUEUED_JOBS', 50)
+    } = {}) {
+        super();
+        this.concurrency = Math.max(1, concurrency);
+        this.maxQueued = maxQueued;
+        this.jobs = new Map();
+        this.queue = [];
+        this.active = 0;
+        this.drainScheduled = false;
+        // One listener per open SSE stream
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Create a job and queue it for processing in the background
+     * @param {Object} params - { file, targets: [{ id, provider, label, settings }], mode, referenceText }
+     * @returns {Object} Job
+     */
+    create({ file, targets, mode, referenceText = null }) {
+        this.prune();
+
+        if (this.maxQueued && this.queue.length >= this.maxQueued) {
+            const error = errorHelper.create('queue_full', `${this.queue.length} documents are already waiting. Try again once some have finished.`);
+            error.retryAfter = QUEUE_RETRY_SECONDS;
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4(),
+            status: 'queued',
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null,
+            file: {
+                name: file.originalName,
+                size: file.buffer.length,
+                mimeType: file.mimeType,
+                sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+            },
+            mode: structuredHelper.resolveMode(mode),
+            providers: {}
+        };
+
+        targets.forEach(target => {
+            job.providers[target.id] = {
+                provider: target.provider.id,
+                label: target.label || null,
+                status: 'pending',
+                stage: 'queued',
+                message: 'Waiting to start',
+                updatedAt: now,
+                result: null
+            };
+        });
+
+        this.jobs.set(job.id, job);
+        this.queue.push({ job, file: { ...file, sha256: job.file.sha256 }, targets, options: { mode: job.mode, referenceText } });
+
+        // Let the caller respond with the job id before any work starts
+        if (!this.drainScheduled) {
+            this.drainScheduled = true;
+            setImmediate(() => {
+                this.drainScheduled = false;
+                this.drain();
+            });
+        }
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     * Start queued jobs while slots are free, then tell the rest where they are
+     */
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { job, file, targets, options } = this.queue.shift();
+            this.active++;
+            job.status = 'running';
+            job.updatedAt = new Date().toISOString();
+            this.publish(job, 'status', { status: job.status, position: null });
+
+            this.run(job, file, targets, options)
+                .catch(error => {
+                    console.error(`Job ${job.id} error:`, error);
+                    this.fail(job, error);
+                })
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+
+        this.queue.forEach(({ job }, index) => {
+            this.publish(job, 'status', { status: job.status, position: index + 1 });
+        });
+    }
+
+    /**
+     * Finish a job whose run threw, so clients waiting for `done` aren't left hanging
+     * and prune() can drop it
+     */
+    fail(job, error) {
+        if (job.completedAt) return;
+
+        const now = new Date().toISOString();
+        Object.values(job.providers).forEach(state => {
+            if (state.result) return;
+            state.status = 'failed';
+            state.stage = 'done';
+            state.message = error.message;
+            state.updatedAt = now;
+        });
+        job.status = 'failed';
+        job.completedAt = now;
+        job.updatedAt = now;
+
+        try {
+            this.publish(job, 'done', { job: this.toJSON(job) });
+        } catch (publishError) {
+            console.error(`Job ${job.id} error:`, publishError);
+        }
+    }
+
+    /**
+     * @returns {?number} 1-based place of a queued job in the queue
+     */
+    position(job) {
+        const index = this.queue.findIndex(entry => entry.job === job);
+        return index === -1 ? null : index + 1;
+    }
+
+    async run(job, file, targets, options) {
+        await Promise.all(targets.map(async target => {
+            const provider = target.provider;
+            const state = job.providers[target.id];
+            state.status = 'running';
+
+            const onProgress = (stage, message) => {
+                state.stage = stage;
+                state.message = message;
+                state.updatedAt = new Date().toISOString();
+                job.updatedAt = state.updatedAt;
+                this.publish(job, 'progress', { target: target.id, provider: provider.id, stage, message });
+            };
+
+            onProgress('starting', `Starting ${provider.name}${target.label ? ` (${target.label})` : ''}`);
+            const result = await extractionService.run(provider, file, {
+                ...options,
+                target: target.id,
+                label: target.label,
+                settings: target.settings,
+                onProgress
+            });
+
+            state.status = result.success ? 'succeeded' : 'failed';
+            state.stage = 'done';
+            state.message = result.success ? 'Completed' : result.error;
+            state.result = result;
+            state.updatedAt = new Date().toISOString();
+            job.updatedAt = state.updatedAt;
+            this.publish(job, 'result', { target: target.id, provider: provider.id, result });
+        }));
+
+        const states = Object.values(job.providers);
+        job.status = states.every(state => state.status === 'failed') ? 'failed' : 'completed';
+        job.completedAt = new Date().toISOString();
+        job.updatedAt = job.completedAt;
+
+        try {
+            await runStore.save(this.toRun(job));
+        } catch (error) {
+            console.warn(`Failed to save run ${job.id}:`, error.message);
+        }
+
+        this.publish(job, 'done', { job: this.toJSON(job) });
+    }
+
+    /**
+     * Run history record for a finished job (see run-store.js)
+     */
+    toRun(job) {
+        const providers = {};
+        Object.entries(job.providers).forEach(([id, state]) => {
+            providers[id] = state.result;
+        });
+
+        return {
+            id: job.id,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt,
+            mode: job.mode,
+            file: job.file,
+            providers: providers
+        };
+    }
+
+    publish(job, type, data) {
+        this.emit(`job:${job.id}`, { type, data });
+    }
+
+    /**
+     * Public representation of a job
+     */
+    toJSON(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            position: this.position(job),
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            completedAt: job.completedAt,
+            file: job.file,
+            mode: job.mode,
+            providers: job.providers
+        };
+    }
+
+    prune() {
+        const cutoff = Date.now() - JOB_TTL_MS;
+        this.jobs.forEach((job, id) => {
+            if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+                this.jobs.delete(id);
+            }
+        });
+    }
+}
+
+module.exports = new JobManager();
+module.exports.JobManager = JobManager;
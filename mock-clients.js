@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.resolve(process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures'));
+
+/**
+ * Local stand-ins for the S3, Textract, SNS, SQS and Gemini clients, so the server can
+ * run (and be tested) without credentials. Enabled with MOCK_PROVIDERS=true.
+ *
+ * Responses are replayed from fixture files in MOCK_FIXTURES_DIR (default
+ * ./fixtures). A fixture is picked per uploaded file: MOCK_FIXTURE=<name>
+ * forces one for every file, otherwise <sha256 of the file>.json is used when
+ * it exists and default.json when it doesn't. A fixture looks like:
+ *
+ *   {
+ *     "textract": {
+ *       "jobStatus": ["IN_PROGRESS", "SUCCEEDED"],  // returned by successive polls
+ *       "statusMessage": "...",                      // optional StatusMessage
+ *       "startError": { "code": "...", "message": "..." },  // optional, fails the start call
+ *       "throttle": { "getDocumentTextDetection": 2 },  // optional, first n calls are throttled
+ *       "results": [ { "DocumentMetadata": { "Pages": 2 }, "Blocks": [...] }, ... ]
+ *     },
+ *     "gemini": {
+ *       "text": "[[PAGE 1]]\n...",
+ *       "finishReason": "STOP",                      // optional
+ *       "usageMetadata": { "promptTokenCount": 1000, ... },  // optional, token counts to report
+ *       // or, to fail the call:
+ *       "error": { "status": 429, "statusText": "Too Many Requests", "message": "..." }
+ *     }
+ *   }
+ *
+ * Each entry in textract.results is one page of Get* results; NextToken is
+ * filled in to chain them, so recorded responses can be pasted in as-is.
+ *
+ * Jobs started with a NotificationChannel skip straight to the last
+ * jobStatus and publish their completion to the mock SNS topic, which
+ * delivers it to the mock SQS queue (unless that status is IN_PROGRESS, to
+ * simulate a lost notification).
+ */
+
+const request = fn => ({ promise: () => Promise.resolve().then(fn) });
+
+function awsError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * @param {Object} options - { dir, name } where name forces one fixture
+ * @returns {Function} (buffer) => fixture
+ */
+function fixtureResolver({ dir = FIXTURES_DIR, name = process.env.MOCK_FIXTURE } = {}) {
+    return buffer => {
+        if (name) return loadFixture(name, dir);
+
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        return fs.existsSync(path.join(dir, `${hash}.json`))
+            ? loadFixture(hash, dir)
+            : loadFixture('default', dir);
+    };
+}
+
+function loadFixture(name, dir = FIXTURES_DIR) {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+}
+
+// Accept a fixture object or a (buffer) => fixture function
+const toResolver = fixture => (typeof fixture === 'function' ? fixture : () => fixture);
+
+class MockS3 {
+    /**
+     * @param {Object} options - { buckets: names headBucket finds, besides those holding objects }
+     */
+    constructor({ buckets = ['mock-bucket'] } = {}) {
+        this.buckets = new Set(buckets);
+        this.objects = new Map();
+        this.calls = [];
+    }
+
+    headBucket(params) {
+        this.calls.push({ operation: 'headBucket', params });
+        return request(() => {
+            const prefix = `${params.Bucket}/`;
+            if (!this.buckets.has(params.Bucket) && !Array.from(this.objects.keys()).some(key => key.startsWith(prefix))) {
+                throw awsError('NotFound', null);
+            }
+            return {};
+        });
+    }
+
+    putObject(params) {
+        this.calls.push({ operation: 'putObject', params });
+        return request(() => {
+            this.objects.set(`${params.Bucket}/${params.Key}`, Buffer.from(params.Body));
+            return { ETag: '"mock"' };
+        });
+    }
+
+    headObject(params) {
+        this.calls.push({ operation: 'headObject', params });
+        return request(() => {
+            const body = this.objects.get(`${params.Bucket}/${params.Key}`);
+            if (!body) throw awsError('NotFound', null);
+            return {
+                ContentLength: body.length,
+                ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"`
+            };
+        });
+    }
+
+    getObject(params) {
+        this.calls.push({ operation: 'getObject', params });
+        return request(() => {
+            const body = this.objects.get(`${params.Bucket}/${params.Key}`);
+            if (!body) throw awsError('NoSuchKey', 'The specified key does not exist.');
+            return { Body: body };
+        });
+    }
+
+    deleteObject(params) {
+        this.calls.push({ operation: 'deleteObject', params });
+        return request(() => {
+            this.objects.delete(`${params.Bucket}/${params.Key}`);
+            return {};
+        });
+    }
+}
+
+/**
+ * Stand-in for SQS. Received messages stay invisible for the visibility
+ * timeout unless deleted, and receives wait briefly for messages instead of
+ * the full WaitTimeSeconds.
+ */
+class MockSQS {
+    /**
+     * @param {Object} options - { visibilityTimeoutMs, maxWaitMs }
+     */
+    constructor({ visibilityTimeoutMs = 30000, maxWaitMs = 20 } = {}) {
+        this.visibilityTimeoutMs = visibilityTimeoutMs;
+        this.maxWaitMs = maxWaitMs;
+        this.queues = new Map();
+        this.calls = [];
+    }
+
+    queue(url) {
+        if (!this.queues.has(url)) this.queues.set(url, []);
+        return this.queues.get(url);
+    }
+
+    sendMessage(params) {
+        this.calls.push({ operation: 'sendMessage', params });
+        return request(() => {
+            const messageId = crypto.randomUUID();
+            this.queue(params.QueueUrl).push({ MessageId: messageId, Body: params.MessageBody, visibleAt: 0 });
+            return { MessageId: messageId };
+        });
+    }
+
+    receiveMessage(params) {
+        this.calls.push({ operation: 'receiveMessage', params });
+        return request(async () => {
+            const waitUntil = Date.now() + Math.min((params.WaitTimeSeconds || 0) * 1000, this.maxWaitMs);
+            let visible = [];
+            while (true) {
+                const now = Date.now();
+                visible = this.queue(params.QueueUrl)
+                    .filter(message => message.visibleAt <= now)
+                    .slice(0, params.MaxNumberOfMessages || 1);
+                if (visible.length || now >= waitUntil) break;
+                await new Promise(resolve => setTimeout(resolve, 2));
+            }
+
+            return {
+                Messages: visible.map(message => {
+                    message.visibleAt = Date.now() + this.visibilityTimeoutMs;
+                    message.ReceiptHandle = crypto.randomUUID();
+                    return { MessageId: message.MessageId, ReceiptHandle: message.ReceiptHandle, Body: message.Body };
+                })
+            };
+        });
+    }
+
+    deleteMessage(params) {
+        this.calls.push({ operation: 'deleteMessage', params });
+        return request(() => {
+            const queue = this.queue(params.QueueUrl);
+            const index = queue.findIndex(message => message.ReceiptHandle === params.ReceiptHandle);
+            if (index === -1) throw awsError('ReceiptHandleIsInvalid', 'The receipt handle is not valid.');
+            queue.splice(index, 1);
+            return {};
+        });
+    }
+
+    changeMessageVisibility(params) {
+        this.calls.push({ operation: 'changeMessageVisibility', params });
+        return request(() => {
+            const message = this.queue(params.QueueUrl).find(candidate => candidate.ReceiptHandle === params.ReceiptHandle);
+            if (!message) throw awsError('ReceiptHandleIsInvalid', 'The receipt handle is not valid.');
+            message.visibleAt = Date.now() + params.VisibilityTimeout * 1000;
+            return {};
+        });
+    }
+}
+
+/**
+ * Stand-in for SNS: topics deliver to subscribed MockSQS queues, wrapped in
+ * an SNS envelope as with a real SQS subscription
+ */
+class MockSNS {
+    constructor() {
+        this.subscriptions = new Map();
+        this.calls = [];
+    }
+
+    subscribe(topicArn, sqs, queueUrl) {
+        if (!this.subscriptions.has(topicArn)) this.subscriptions.set(topicArn, []);
+        this.subscriptions.get(topicArn).push({ sqs, queueUrl });
+    }
+
+    publish(params) {
+        this.calls.push({ operation: 'publish', params });
+        return request(async () => {
+            const messageId = crypto.randomUUID();
+            const envelope = JSON.stringify({
+                Type: 'Notification',
+                MessageId: messageId,
+                TopicArn: params.TopicArn,
+                Message: params.Message,
+                Timestamp: new Date().toISOString()
+            });
+            await Promise.all((this.subscriptions.get(params.TopicArn) || []).map(({ sqs, queueUrl }) =>
+                sqs.sendMessage({ QueueUrl: queueUrl, MessageBody: envelope }).promise()));
+            return { MessageId: messageId };
+        });
+    }
+}
+
+class MockTextract {
+    /**
+     * @param {Object} options - { s3: MockS3 holding uploaded documents, sns: MockSNS for completion
+     *                           notifications, fixture: object or (buffer) => fixture }
+     */
+    constructor({ s3, sns = null, fixture = fixtureResolver() }) {
+        this.s3 = s3;
+        this.sns = sns;
+        this.resolve = toResolver(fixture);
+        this.jobs = new Map();
+        this.calls = [];
+        this.throttled = {};
+    }
+
+    /**
+     * Throw ProvisionedThroughputExceededException for the first n calls of an
+     * operation, as configured by the fixture's "throttle" map
+     */
+    throttle(operation, fixture) {
+        const limit = (fixture.throttle || {})[operation] || 0;
+        this.throttled[operation] = (this.throttled[operation] || 0) + 1;
+        if (this.throttled[operation] <= limit) {
+            throw awsError('ProvisionedThroughputExceededException', 'Provisioned rate exceeded');
+        }
+    }
+
+    document(params) {
+        const location = params.Document || params.DocumentLocation;
+        if (location.Bytes) return Buffer.from(location.Bytes);
+
+        const body = this.s3.objects.get(`${location.S3Object.Bucket}/${location.S3Object.Name}`);
+        if (!body) throw awsError('InvalidS3ObjectException', 'Unable to get object metadata from S3.');
+        return body;
+    }
+
+    start(operation, params) {
+        this.calls.push({ operation, params });
+        return request(() => {
+            const fixture = this.resolve(this.document(params)).textract;
+            this.throttle(operation, fixture);
+            if (fixture.startError) {
+                throw awsError(fixture.startError.code, fixture.startError.message);
+            }
+
+            const jobId = crypto.randomUUID();
+            this.jobs.set(jobId, { fixture, polls: 0 });
+            if (params.NotificationChannel) this.notify(jobId, operation, params);
+            return { JobId: jobId };
+        });
+    }
+
+    /**
+     * Finish the job and publish its completion shortly after it starts
+     */
+    notify(jobId, operation, params) {
+        const job = this.jobs.get(jobId);
+        const statuses = job.fixture.jobStatus || ['SUCCEEDED'];
+        const status = statuses[statuses.length - 1];
+        job.polls = statuses.length;
+        if (status === 'IN_PROGRESS' || !this.sns) return;
+
+        setTimeout(() => {
+            this.sns.publish({
+                TopicArn: params.NotificationChannel.SNSTopicArn,
+                Message: JSON.stringify({
+                    JobId: jobId,
+                    Status: status,
+                    API: operation.charAt(0).toUpperCase() + operation.slice(1),
+                    JobTag: params.JobTag,
+                    Timestamp: Date.now(),
+                    DocumentLocation: params.DocumentLocation
+                })
+            }).promise();
+        }, 5);
+    }
+
+    getResults(operation, params) {
+        this.calls.push({ operation, params });
+        return request(() => {
+            const job = this.jobs.get(params.JobId);
+            if (!job) throw awsError('InvalidJobIdException', 'Request has invalid Job Id');
+            this.throttle(operation, job.fixture);
+
+            const statuses = job.fixture.jobStatus || ['SUCCEEDED'];
+            const results = job.fixture.results || [];
+            const status = params.NextToken
+                ? 'SUCCEEDED'
+                : statuses[Math.min(job.polls++, statuses.length - 1)];
+            const response = { JobStatus: status };
+            if (job.fixture.statusMessage) response.StatusMessage = job.fixture.statusMessage;
+            if (status !== 'SUCCEEDED' && status !== 'PARTIAL_SUCCESS') return response;
+
+            const index = params.NextToken ? parseInt(params.NextToken, 10) : 0;
+            return {
+                ...response,
+                Blocks: [],
+                ...results[index],
+                NextToken: index + 1 < results.length ? String(index + 1) : undefined
+            };
+        });
+    }
+
+    sync(operation, params) {
+        this.calls.push({ operation, params });
+        return request(() => {
+            const fixture = this.resolve(this.document(params)).textract;
+            this.throttle(operation, fixture);
+            const results = fixture.results || [];
+            return {
+                DocumentMetadata: { Pages: 1 },
+                Blocks: results.reduce((blocks, result) => blocks.concat(result.Blocks || []), []),
+                Warnings: results.reduce((warnings, result) => warnings.concat(result.Warnings || []), [])
+            };
+        });
+    }
+
+    startDocumentTextDetection(params) { return this.start('startDocumentTextDetection', params); }
+    startDocumentAnalysis(params) { return this.start('startDocumentAnalysis', params); }
+    getDocumentTextDetection(params) { return this.getResults('getDocumentTextDetection', params); }
+    getDocumentAnalysis(params) { return this.getResults('getDocumentAnalysis', params); }
+    detectDocumentText(params) { return this.sync('detectDocumentText', params); }
+    analyzeDocument(params) { return this.sync('analyzeDocument', params); }
+}
+
+/**
+ * Stand-in for GoogleAIFileManager (the Gemini File API)
+ */
+class MockFileManager {
+    constructor() {
+        this.files = new Map();
+        this.calls = [];
+    }
+
+    async uploadFile(filePath, { mimeType, displayName }) {
+        this.calls.push({ operation: 'uploadFile', mimeType, displayName });
+        const name = `files/${crypto.randomUUID()}`;
+        const file = { name, uri: `mock://${name}`, mimeType, state: 'ACTIVE', displayName };
+        this.files.set(name, { ...file, buffer: fs.readFileSync(filePath) });
+        return { file };
+    }
+
+    async getFile(name) {
+        this.calls.push({ operation: 'getFile', name });
+        const { buffer, ...file } = this.files.get(name) || {};
+        if (!file.name) throw new Error(`File ${name} not found`);
+        return file;
+    }
+
+    async deleteFile(name) {
+        this.calls.push({ operation: 'deleteFile', name });
+        this.files.delete(name);
+    }
+}
+
+/**
+ * Stand-in for GoogleGenerativeAI: getGenerativeModel().generateContent() and
+ * countTokens(), which only knows models named gemini-*
+ */
+class MockGenerativeAI {
+    /**
+     * @param {Object} options - { fixture: object or (buffer) => fixture, fileManager: MockFileManager for fileData parts }
+     */
+    constructor({ fixture = fixtureResolver(), fileManager = new MockFileManager() } = {}) {
+        this.resolve = toResolver(fixture);
+        this.fileManager = fileManager;
+        this.calls = [];
+    }
+
+    document(parts) {
+        const inline = parts.find(part => part && part.inlineData);
+        if (inline) return Buffer.from(inline.inlineData.data, 'base64');
+
+        const uploaded = parts.find(part => part && part.fileData);
+        if (uploaded) {
+            const file = Array.from(this.fileManager.files.values()).find(entry => entry.uri === uploaded.fileData.fileUri);
+            if (!file) throw new Error('[GoogleGenerativeAI Error]: [404 Not Found] File not found');
+            return file.buffer;
+        }
+        return Buffer.alloc(0);
+    }
+
+    getGenerativeModel({ model, generationConfig }) {
+        return {
+            countTokens: async () => {
+                if (!/^gemini-[\w.-]+$/.test(model)) {
+                    const error = new Error(`[GoogleGenerativeAI Error]: Error fetching from https://generativelanguage.googleapis.com/v1beta/models/${model}:countTokens: [404 Not Found] models/${model} is not found`);
+                    error.status = 404;
+                    error.statusText = 'Not Found';
+                    throw error;
+                }
+                return { totalTokens: 1 };
+            },
+            generateContent: async parts => {
+                this.calls.push({ model, generationConfig, parts });
+
+                const fixture = this.resolve(this.document(parts)).gemini;
+
+                if (fixture.error) {
+                    const { status = 500, statusText = 'Internal Server Error', message = 'Mock error' } = fixture.error;
+                    const error = new Error(`[GoogleGenerativeAI Error]: Error fetching from https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent: [${status} ${statusText}] ${message}`);
+                    error.status = status;
+                    error.statusText = statusText;
+                    throw error;
+                }
+
+                return {
+                    response: {
+                        text: () => fixture.text,
+                        candidates: [{ finishReason: fixture.finishReason || 'STOP' }],
+                        usageMetadata: fixture.usageMetadata || null
+                    }
+                };
+            }
+        };
+    }
+}
+
+module.exports = {
+    enabled: process.env.MOCK_PROVIDERS === 'true',
+    fixtureResolver,
+    loadFixture,
+    MockS3,
+    MockTextract,
+    MockSQS,
+    MockSNS,
+    MockGenerativeAI,
+    MockFileManager,
+
+    /**
+     * Mock S3 and Textract sharing one object store, with an SNS topic
+     * delivering job completions to an SQS queue
+     */
+    aws(fixture) {
+        const s3 = new MockS3();
+        const sqs = new MockSQS();
+        const sns = new MockSNS();
+        const channel = {
+            topicArn: 'arn:aws:sns:us-east-1:000000000000:mock-textract-completions',
+            roleArn: 'arn:aws:iam::000000000000:role/mock-textract-sns',
+            queueUrl: 'https://sqs.us-east-1.amazonaws.com/000000000000/mock-textract-completions'
+        };
+        sns.subscribe(channel.topicArn, sqs, channel.queueUrl);
+        // Replayed jobs don't need real polling delays
+        return {
+            s3,
+            textract: new MockTextract({ s3, sns, fixture }),
+            sqs,
+            bucket: 'mock-bucket',
+            channel,
+            timing: { pollIntervalMs: 200, maxPollIntervalMs: 1000 }
+        };
+    },
+
+    /**
+     * Mock Gemini model and File API sharing one file store
+     */
+    gemini(fixture) {
+        const fileManager = new MockFileManager();
+        return { genAI: new MockGenerativeAI({ fixture, fileManager }), fileManager };
+    }
+};
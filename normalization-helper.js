@@ -0,0 +1,62 @@
+// Typographic variants folded to their ASCII form
+const FOLDS = [
+    [/[\u2018\u2019\u201A\u201B]/g, '\''],
+    [/[\u201C\u201D\u201E\u201F]/g, '"'],
+    [/[\u2010-\u2015\u2212]/g, '-']
+];
+
+// Soft hyphens, zero-width characters and byte order marks
+const INVISIBLE = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+/**
+ * Normalization applied to every provider's text before it is scored, so
+ * metrics compare what was read rather than how it was laid out or encoded:
+ *
+ *   - Unicode NFKC (ligatures such as "ﬁ", full-width and other compatibility
+ *     forms), with curly quotes and dashes folded to ASCII and invisible
+ *     characters removed
+ *   - Words hyphenated across a line break rejoined ("exam-\nple" -> "example")
+ *   - Runs of spaces and tabs collapsed, lines trimmed, and runs of blank
+ *     lines collapsed to a single paragraph break
+ *
+ * Line breaks are kept, so the normalized text can still be diffed line by line.
+ */
+class NormalizationHelper {
+    /**
+     * @param {string} text - Raw provider output or reference transcript
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        let normalized = String(text || '')
+            .normalize('NFKC')
+            // A soft hyphen at a line break is where the word was split
+            .replace(/\u00AD(?=[^\S\n]*\r?\n)/g, '-')
+            .replace(INVISIBLE, '');
+        FOLDS.forEach(([pattern, replacement]) => {
+            normalized = normalized.replace(pattern, replacement);
+        });
+
+        return normalized
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+            .join('\n')
+            .replace(/(\p{L})-\n(?=\p{Ll})/gu, '$1')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * @param {Object} result - { text, pages } as returned by a provider
+     * @returns {{text: string, pages: Array<{page: number, text: string}>}} The same text, normalized
+     */
+    normalizeResult(result) {
+        return {
+            text: this.normalize(result.text),
+            pages: (result.pages || []).map(page => ({ page: page.page, text: this.normalize(page.text) }))
+        };
+    }
+}
+
+module.exports = new NormalizationHelper();
+module.exports.NormalizationHelper = NormalizationHelper;
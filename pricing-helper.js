@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Estimated list prices in USD, per provider and per model (the resolved
+ * settings.model). A rate may charge per page and/or per million tokens:
+ *
+ *   { perPage, perMillionInputTokens, perMillionOutputTokens }
+ *
+ * Thinking tokens are billed as output. Override or extend the table with a
+ * JSON file of the same shape in PRICING_FILE; entries are merged per model.
+ */
+const DEFAULT_PRICING = {
+    currency: 'USD',
+    providers: {
+        textract: {
+            'DetectDocumentText': { perPage: 0.0015 },
+            // TABLES ($15) + FORMS ($50) per 1,000 pages
+            'AnalyzeDocument (TABLES, FORMS)': { perPage: 0.065 }
+        },
+        gemini: {
+            'gemini-3-pro-preview': { perMillionInputTokens: 2.00, perMillionOutputTokens: 12.00 },
+            'gemini-2.5-pro': { perMillionInputTokens: 1.25, perMillionOutputTokens: 10.00 },
+            'gemini-2.5-flash': { perMillionInputTokens: 0.30, perMillionOutputTokens: 2.50 },
+            'gemini-2.0-flash': { perMillionInputTokens: 0.10, perMillionOutputTokens: 0.40 }
+        }
+    }
+};
+
+function loadPricing(file = process.env.PRICING_FILE) {
+    if (!file) return DEFAULT_PRICING;
+
+    const overrides = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const providers = { ...DEFAULT_PRICING.providers };
+    Object.entries(overrides.providers || {}).forEach(([id, models]) => {
+        providers[id] = { ...providers[id], ...models };
+    });
+    return { currency: overrides.currency || DEFAULT_PRICING.currency, providers };
+}
+
+class PricingHelper {
+    constructor(pricing = loadPricing()) {
+        this.pricing = pricing;
+    }
+
+    /**
+     * @param {string} providerId - Provider id
+     * @param {string} model - Resolved settings.model
+     * @returns {Object|null} Rate for the model, or null when it isn't priced
+     */
+    rate(providerId, model) {
+        const models = this.pricing.providers[providerId] || {};
+        return models[model] || null;
+    }
+
+    /**
+     * Estimate the cost of one extraction from the usage its provider reported
+     * @param {string} providerId - Provider id
+     * @param {string} model - Resolved settings.model
+     * @param {?Object} usage - { pages?, inputTokens?, outputTokens?, thinkingTokens? }
+     * @returns {Object|null} { amount, currency, rate }, or null without usage or a rate
+     */
+    estimate(providerId, model, usage) {
+        const rate = this.rate(providerId, model);
+        if (!usage || !rate) return null;
+
+        const outputTokens = (usage.outputTokens || 0) + (usage.thinkingTokens || 0);
+        const amount = (usage.pages || 0) * (rate.perPage || 0)
+            + (usage.inputTokens || 0) / 1e6 * (rate.perMillionInputTokens || 0)
+            + outputTokens / 1e6 * (rate.perMillionOutputTokens || 0);
+
+        return {
+            amount: Math.round(amount * 1e6) / 1e6,
+            currency: this.pricing.currency,
+            rate: rate
+        };
+    }
+}
+
+module.exports = new PricingHelper();
+module.exports.PricingHelper = PricingHelper;
+module.exports.DEFAULT_PRICING = DEFAULT_PRICING;
+module.exports.loadPricing = loadPricing;
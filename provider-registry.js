@@ -0,0 +1,246 @@
+/**
+ * Registry of extraction providers.
+ *
+ * A provider is any object exposing:
+ *   - id          {string}   URL-safe identifier used in /api/extract/:provider
+ *   - name        {string}   Display name for the results pane
+ *   - description {string}   Short subtitle for the results pane
+ *   - icon        {string}   Emoji shown next to the name
+ *   - accent      {string}   CSS colour used for the pane border
+ *   - isConfigured()         Returns true when the required credentials are present
+ *   - configIssues()         Optional. Returns why the provider can't run with the current
+ *                            configuration (e.g. missing variables) as strings; empty when it can.
+ *                            Providers with issues are reported as unavailable and not run.
+ *   - checkReadiness()       Optional. Live checks for /api/health, resolving to
+ *                            [{ name, ok, message }] (e.g. reaching a bucket, resolving a model)
+ *   - extract(file, options) Resolves to { text, pages } for file = { buffer, mimeType, originalName },
+ *                            where pages is an array of { page, text, time?, lines? } (1-based page numbers).
+ *                            lines, when the engine reports layout, are
+ *                            { text, confidence, boundingBox: { left, top, width, height }, words: [...] }
+ *                            with the box in fractions of the page size. Lines that start a
+ *                            paragraph may carry paragraphStart: true
+ *   - inputTypes  {string[]} Optional. MIME types the provider accepts (see file-type-helper.js);
+ *                            defaults to every supported type
+ *   - maxUploadBytes {number} Optional. Largest file the provider accepts (default DEFAULT_MAX_UPLOAD_BYTES)
+ *   - resolveSettings(options) Optional. Resolves options.settings against the provider's defaults,
+ *                            returning a plain object with at least { model }. Throws on invalid
+ *                            settings. The result is echoed in responses, saved with runs and part
+ *                            of the result cache key.
+ *   - settingsSchema()       Optional. Models, prompt presets and tunables the UI can offer
+ *                            ({ models, ... } for per-target rows, { readingOrders } for line order)
+ *   - resolveReference(url)  Optional. Resolves a document URL the provider can read in place (e.g.
+ *                            s3://bucket/key for Textract) to a file without a buffer:
+ *                            { location, mimeType, originalName, size, etag }. extract() then gets
+ *                            that file instead of an upload.
+ *   - shutdown()             Optional. Releases resources such as temporary uploads before the
+ *                            process exits
+ *
+ * extract() may also return warnings: string[] for non-fatal problems worth showing the user,
+ * and usage: { pages?, inputTokens?, outputTokens?, thinkingTokens? } with the billable units
+ * consumed, which pricing-helper.js turns into an estimated cost. When it rejects, errors typed
+ * with error-helper.js (create() or wrap()) keep their code; anything else is classified from
+ * its SDK error code or HTTP status, falling back to 'provider_error'.
+ *
+ * To add a new engine, implement the interface in its own helper module and
+ * register it at the bottom of this file.
+ */
+const fileTypeHelper = require('./file-type-helper');
+
+const DEFAULT_MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Readiness reports are reused this long, so frequent health probes don't call the providers each time
+const READINESS_TTL_MS = 30 * 1000;
+// A live check that takes longer than this counts as failed
+const READINESS_CHECK_TIMEOUT_MS = 5000;
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.readinessCache = null;
+    }
+
+    /**
+     * Register a provider
+     * @param {Object} provider - Provider implementing the interface above
+     */
+    register(provider) {
+        if (!provider || !provider.id || typeof provider.extract !== 'function') {
+            throw new Error('Provider must have an id and an extract() method');
+        }
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Provider already registered: ${provider.id}`);
+        }
+        this.providers.set(provider.id, provider);
+    }
+
+    /**
+     * Look up a provider by id
+     * @param {string} id - Provider id
+     * @returns {Object|undefined} Provider
+     */
+    get(id) {
+        return this.providers.get(id);
+    }
+
+    /**
+     * @returns {Object[]} All registered providers in registration order
+     */
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Whether a provider can run with the current configuration
+     * @param {Object} provider - Registered provider
+     * @returns {{available: boolean, reason: ?string}} reason explains why it is unavailable
+     */
+    availability(provider) {
+        const issues = typeof provider.configIssues === 'function' ? provider.configIssues() : [];
+        return { available: issues.length === 0, reason: issues.length > 0 ? issues.join('; ') : null };
+    }
+
+    /**
+     * Check every provider's configuration and log which ones are disabled,
+     * so a missing key shows up at startup rather than mid-extraction
+     * @returns {Object[]} [{ id, available, reason }]
+     */
+    validateConfig() {
+        return this.list().map(provider => {
+            const { available, reason } = this.availability(provider);
+            if (available) {
+                console.log(`✅ ${provider.name} is available`);
+            } else {
+                console.warn(`⚠️  ${provider.name} is disabled: ${reason}`);
+            }
+            return { id: provider.id, available, reason };
+        });
+    }
+
+    /**
+     * Readiness of every provider: its configuration ('credentials'), then,
+     * for available providers, its live checks. A provider is ready when all
+     * of them pass. Reports are cached for READINESS_TTL_MS.
+     * @param {Object} options - { maxAgeMs } to reuse a report at most this old
+     * @returns {Promise<Object>} { status: 'ok' | 'degraded' | 'unavailable', checkedAt, providers: { [id]: { available, ready, reason, checks } } }
+     */
+    async readiness({ maxAgeMs = READINESS_TTL_MS } = {}) {
+        if (this.readinessCache && Date.now() - this.readinessCache.at <= maxAgeMs) {
+            return this.readinessCache.report;
+        }
+
+        const entries = await Promise.all(this.list().map(async provider => {
+            const { available, reason } = this.availability(provider);
+            const checks = [{ name: 'credentials', ok: available, message: available ? 'Configured' : reason }];
+            if (available && typeof provider.checkReadiness === 'function') {
+                checks.push(...await withTimeout(provider.checkReadiness(), READINESS_CHECK_TIMEOUT_MS).catch(error => [
+                    { name: 'readiness', ok: false, message: error.message }
+                ]));
+            }
+
+            const failed = checks.find(check => !check.ok);
+            return [provider.id, { available, ready: !failed, reason: failed ? failed.message : null, checks }];
+        }));
+
+        const ready = entries.filter(([, entry]) => entry.ready).length;
+        const report = {
+            status: ready === entries.length ? 'ok' : (ready > 0 ? 'degraded' : 'unavailable'),
+            checkedAt: new Date().toISOString(),
+            providers: Object.fromEntries(entries)
+        };
+        this.readinessCache = { at: Date.now(), report };
+        return report;
+    }
+
+    /**
+     * Resolve per-request settings for a provider
+     * @param {Object} provider - Registered provider
+     * @param {Object} options - { mode, settings }
+     * @returns {Object} Resolved settings ({} when the provider has none)
+     */
+    resolveSettings(provider, options = {}) {
+        return typeof provider.resolveSettings === 'function' ? provider.resolveSettings(options) : {};
+    }
+
+    /**
+     * Run every provider's shutdown hook, e.g. to delete temporary uploads
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        await Promise.all(this.list()
+            .filter(provider => typeof provider.shutdown === 'function')
+            .map(provider => provider.shutdown().catch(error => {
+                console.warn(`${provider.name} shutdown failed:`, error.message);
+            })));
+    }
+
+    /**
+     * Public description of a provider, safe to send to the browser
+     * @param {Object} provider - Registered provider
+     * @returns {Object} Provider metadata
+     */
+    describe(provider) {
+        return {
+            id: provider.id,
+            name: provider.name || provider.id,
+            description: provider.description || '',
+            icon: provider.icon || '📄',
+            accent: provider.accent || '#667eea',
+            configured: typeof provider.isConfigured === 'function' ? provider.isConfigured() : true,
+            ...this.availability(provider),
+            settings: typeof provider.settingsSchema === 'function' ? provider.settingsSchema() : null,
+            inputTypes: provider.inputTypes || fileTypeHelper.types.map(type => type.mimeType),
+            maxUploadBytes: this.maxUploadBytes(provider)
+        };
+    }
+
+    /**
+     * @param {Object} [provider] - Registered provider; omit for the largest limit of any provider
+     * @returns {number} Upload size limit in bytes
+     */
+    maxUploadBytes(provider) {
+        if (!provider) {
+            const limits = this.list().map(registered => this.maxUploadBytes(registered));
+            return limits.length > 0 ? Math.max(...limits) : DEFAULT_MAX_UPLOAD_BYTES;
+        }
+        return provider.maxUploadBytes || DEFAULT_MAX_UPLOAD_BYTES;
+    }
+
+    /**
+     * @param {Object} provider - Registered provider
+     * @param {number} size - Upload size in bytes
+     * @returns {?string} Why the file is too large for the provider, or null if it fits
+     */
+    uploadSizeError(provider, size) {
+        const limit = this.maxUploadBytes(provider);
+        if (size <= limit) return null;
+        return `File too large for ${provider.name}. Maximum ${formatMB(limit)} allowed.`;
+    }
+
+    /**
+     * @param {Object} provider - Registered provider
+     * @param {string} mimeType - Detected MIME type of the upload
+     * @returns {boolean} True if the provider can process this file type
+     */
+    accepts(provider, mimeType) {
+        return !provider.inputTypes || provider.inputTypes.includes(mimeType);
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function formatMB(bytes) {
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))}MB`;
+}
+
+const registry = new ProviderRegistry();
+
+registry.register(require('./gemini-helper'));
+registry.register(require('./textract-helper'));
+
+module.exports = registry;
+module.exports.formatMB = formatMB;
@@ -2,27 +2,161 @@
 const dropzone = document.getElementById('dropzone');
 const fileInput = document.getElementById('fileInput');
 const uploadButton = document.getElementById('uploadButton');
+const uploadHint = document.getElementById('uploadHint');
+const providerStatus = document.getElementById('providerStatus');
 const fileInfo = document.getElementById('fileInfo');
 const fileName = document.getElementById('fileName');
 const fileSize = document.getElementById('fileSize');
+const fileIcon = document.getElementById('fileIcon');
+const filePreview = document.getElementById('filePreview');
+const filePreviewImage = document.getElementById('filePreviewImage');
+const filePreviewNote = document.getElementById('filePreviewNote');
+const fileList = document.getElementById('fileList');
 const removeButton = document.getElementById('removeButton');
 const processButton = document.getElementById('processButton');
+const referenceField = document.getElementById('referenceField');
+const referenceInput = document.getElementById('referenceInput');
+const modeSelect = document.getElementById('modeSelect');
+const readingOrderField = document.getElementById('readingOrderField');
+const readingOrderHint = document.getElementById('readingOrderHint');
+const readingOrderSelect = document.getElementById('readingOrderSelect');
 const uploadSection = document.getElementById('uploadSection');
 const loadingSection = document.getElementById('loadingSection');
 const resultsSection = document.getElementById('resultsSection');
 const newUploadButton = document.getElementById('newUploadButton');
+const documentsButton = document.getElementById('documentsButton');
+const dashboardSection = document.getElementById('dashboardSection');
+const dashboardSummary = document.getElementById('dashboardSummary');
+const dashboardClearButton = document.getElementById('dashboardClearButton');
+const dashboardAddButton = document.getElementById('dashboardAddButton');
+const dashboardTable = document.getElementById('dashboardTable');
+const historyButton = document.getElementById('historyButton');
+const historySection = document.getElementById('historySection');
+const historySearch = document.getElementById('historySearch');
+const historyBackButton = document.getElementById('historyBackButton');
+const historyList = document.getElementById('historyList');
+const apiKeyButton = document.getElementById('apiKeyButton');
+const authPanel = document.getElementById('authPanel');
+const authMessage = document.getElementById('authMessage');
+const apiKeyInput = document.getElementById('apiKeyInput');
+const apiKeyClearButton = document.getElementById('apiKeyClearButton');
+const settingsPanel = document.getElementById('settingsPanel');
+const settingsList = document.getElementById('settingsList');
+const comparisonGrid = document.getElementById('comparisonGrid');
+const resultCardTemplate = document.getElementById('resultCardTemplate');
 
-const geminiText = document.getElementById('geminiText');
-const geminiTime = document.getElementById('geminiTime');
-const geminiCharCount = document.getElementById('geminiCharCount');
-const copyGemini = document.getElementById('copyGemini');
+const pageSelect = document.getElementById('pageSelect');
+const textViewSelect = document.getElementById('textViewSelect');
+const diffToggleButton = document.getElementById('diffToggleButton');
+const diffView = document.getElementById('diffView');
+const diffLeftSelect = document.getElementById('diffLeftSelect');
+const diffRightSelect = document.getElementById('diffRightSelect');
+const diffSimilarity = document.getElementById('diffSimilarity');
+const diffCounter = document.getElementById('diffCounter');
+const diffNextButton = document.getElementById('diffNextButton');
+const diffTable = document.getElementById('diffTable');
+const spendTotal = document.getElementById('spendTotal');
+const exportButtons = document.getElementById('exportButtons');
+const layoutToggleButton = document.getElementById('layoutToggleButton');
+const layoutView = document.getElementById('layoutView');
+const layoutTargetSelect = document.getElementById('layoutTargetSelect');
+const layoutPageLabel = document.getElementById('layoutPageLabel');
+const layoutMessage = document.getElementById('layoutMessage');
+const layoutFrame = document.getElementById('layoutFrame');
+const layoutCanvas = document.getElementById('layoutCanvas');
+const layoutImage = document.getElementById('layoutImage');
+const layoutOverlay = document.getElementById('layoutOverlay');
+const layoutLegendMedium = document.getElementById('layoutLegendMedium');
+const layoutLegendLow = document.getElementById('layoutLegendLow');
+const confidenceControl = document.getElementById('confidenceControl');
+const confidenceThresholdInput = document.getElementById('confidenceThreshold');
 
-const textractText = document.getElementById('textractText');
-const textractTime = document.getElementById('textractTime');
-const textractCharCount = document.getElementById('textractCharCount');
-const copyTextract = document.getElementById('copyTextract');
+// pdf.js renders PDF pages for the layout view; loaded on first use from this
+// server (the pdfjs-dist package), since a third-party script could read the API key
+const PDFJS_URL = '/vendor/pdfjs/pdf.min.js';
+const PDFJS_WORKER_URL = '/vendor/pdfjs/pdf.worker.min.js';
+
+// API key for servers that require one, kept in this browser only
+const API_KEY_STORAGE_KEY = 'extraction-api-key';
+
+// Documents of a multi-file upload processed at once; the server queues jobs too (JOB_CONCURRENCY)
+const DOCUMENT_CONCURRENCY = 2;
+// Errors after which a queued document is resubmitted once the server says to retry
+const RETRYABLE_CODES = ['rate_limited', 'queue_full'];
+
+// Accepted uploads; browsers report TIFF inconsistently, so extensions count too
+const FILE_TYPES = [
+    { mimeType: 'application/pdf', extensions: ['.pdf'], icon: '📄' },
+    { mimeType: 'image/png', extensions: ['.png'], icon: '🖼️', preview: true },
+    { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], icon: '🖼️', preview: true },
+    { mimeType: 'image/tiff', extensions: ['.tif', '.tiff'], icon: '🖼️' }
+];
+
+// What to tell the user for each API error code (see error-helper.js)
+const ERROR_MESSAGES = {
+    invalid_request: { title: 'Invalid request', hint: 'Check the settings for this provider and try again.' },
+    invalid_upload: { title: 'Invalid upload', hint: 'Choose a PDF, PNG, JPEG or TIFF document and, optionally, a .txt reference transcript.' },
+    unauthorized: { title: 'API key required', hint: 'Enter a valid API key with the 🔑 button.' },
+    forbidden: { title: 'Access denied', hint: 'The server is not allowed to read this document.' },
+    not_found: { title: 'Not found', hint: 'It may have been deleted. Reload the page and try again.' },
+    file_too_large: { title: 'File too large', hint: 'Split the document or compress it, or compare without this provider.' },
+    unsupported_document: { title: 'Unsupported document', hint: 'This provider can\'t read this file. Try converting it to PDF or PNG.' },
+    safety_blocked: { title: 'Blocked by safety filters', hint: 'The provider refused to return text for this document.' },
+    rate_limited: { title: 'Too many requests', hint: 'Wait a moment before trying again.' },
+    quota_exceeded: { title: 'Daily quota used up', hint: 'The quota resets at midnight UTC.' },
+    queue_full: { title: 'Server busy', hint: 'Too many documents are waiting to be processed. Try again in a minute.' },
+    throttled: { title: 'Provider busy', hint: 'The provider is throttling requests or its quota is used up. Try again in a minute.' },
+    timeout: { title: 'Timed out', hint: 'The document took too long to process. Try again, or try a shorter document.' },
+    provider_unavailable: { title: 'Provider unavailable', hint: 'The provider could not be reached. Try again shortly.' },
+    provider_credentials: { title: 'Provider not configured', hint: 'The server\'s credentials for this provider are missing or were rejected. Ask the administrator to check them.' },
+    provider_error: { title: 'Provider error', hint: 'The provider could not process this document.' },
+    internal_error: { title: 'Server error', hint: 'Something went wrong on the server. Try again, and report it if it keeps happening.' }
+};
 
 let selectedFile = null;
+// Documents of a multi-file selection, { file, reference }, processed as queued documents
+let selectedDocuments = [];
+let apiKey = localStorage.getItem(API_KEY_STORAGE_KEY) || '';
+// Object URL of the image preview, revoked when the file changes
+let previewUrl = null;
+// Name of the document whose results are shown (live or reopened from history)
+let currentDocumentName = null;
+// Saved run behind the results on screen, for exports
+let currentRunId = null;
+// Uploaded file behind the results on screen, for the layout view (not kept for history runs)
+let sourceFile = null;
+let sourcePdf = null;
+let sourceImageUrl = null;
+let pdfjsReady = null;
+// Incremented per layout render so a slow page render can't overwrite a newer one
+let layoutRenderId = 0;
+let layoutRenderTask = null;
+// Words and lines below this confidence (0-100) are flagged in the panes and layout view
+let confidenceThreshold = 90;
+
+// Registered providers (from /api/providers) and their result panes, keyed by target id.
+// A target is one provider with one set of settings; its id is the provider id unless
+// the provider runs with several configurations.
+let providers = [];
+const panes = new Map();
+
+// Settings panel rows per configurable provider id
+const settingsRows = new Map();
+
+// Successful extraction results keyed by target id, used by the diff view
+const results = new Map();
+let diffDisagreements = [];
+// Progress stream of the running extraction job
+let jobEvents = null;
+// Documents queued in this session, one job each: { id, file, reference, targets, mode, status, position, job, error, events }.
+// status is waiting and uploading on this side, then the job's status (queued, running, completed, failed).
+const documents = [];
+let nextDocumentId = 1;
+// Document whose job is shown in the result panes
+let openDocumentId = null;
+// No document is submitted before this time, after the server asked to retry later
+let documentsResumeAt = 0;
+let diffIndex = -1;
 
 // Event Listeners
 uploadButton.addEventListener('click', (e) => {
@@ -33,6 +167,27 @@ fileInput.addEventListener('change', handleFileSelect);
 removeButton.addEventListener('click', clearFile);
 processButton.addEventListener('click', processFile);
 newUploadButton.addEventListener('click', resetToUpload);
+historyButton.addEventListener('click', showHistory);
+documentsButton.addEventListener('click', showDashboard);
+dashboardAddButton.addEventListener('click', resetToUpload);
+dashboardClearButton.addEventListener('click', clearFinishedDocuments);
+historyBackButton.addEventListener('click', resetToUpload);
+apiKeyButton.addEventListener('click', () => showAuthPanel(authPanel.hidden ? null : false));
+authPanel.addEventListener('submit', saveApiKey);
+apiKeyClearButton.addEventListener('click', forgetApiKey);
+historySearch.addEventListener('input', debounce(loadHistory, 300));
+pageSelect.addEventListener('change', handlePageChange);
+textViewSelect.addEventListener('change', handleTextViewChange);
+diffToggleButton.addEventListener('click', toggleDiffView);
+layoutToggleButton.addEventListener('click', () => setLayoutMode(layoutView.hidden));
+layoutTargetSelect.addEventListener('change', renderLayout);
+confidenceThresholdInput.addEventListener('input', handleThresholdChange);
+exportButtons.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => exportRun(button.dataset.format));
+});
+diffLeftSelect.addEventListener('change', renderDiff);
+diffRightSelect.addEventListener('change', renderDiff);
+diffNextButton.addEventListener('click', jumpToNextDisagreement);
 
 // Drag and Drop
 dropzone.addEventListener('dragover', (e) => {
@@ -50,7 +205,7 @@ dropzone.addEventListener('drop', (e) => {
 
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-        handleFile(files[0]);
+        handleFiles(files);
     }
 });
 
@@ -61,40 +216,600 @@ dropzone.addEventListener('click', (e) => {
     }
 });
 
-// Copy buttons
-copyGemini.addEventListener('click', () => copyToClipboard(geminiText.textContent, copyGemini));
-copyTextract.addEventListener('click', () => copyToClipboard(textractText.textContent, copyTextract));
+loadProviders();
+loadSpend();
 
 // Functions
+/**
+ * fetch() with the API key attached. 401 opens the key form and 429 reports
+ * when to retry; both reject with the server's message and error code.
+ */
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const res = await fetch(url, { ...options, headers });
+    if (res.status !== 401 && res.status !== 429) return res;
+
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+        const message = data.error || 'This server requires an API key.';
+        showAuthPanel(message);
+        throw apiError(message, data.code || 'unauthorized');
+    }
+
+    const retryAfter = data.retryAfter || parseInt(res.headers.get('Retry-After'), 10) || null;
+    throw apiError(`${data.error || 'Too many requests.'}${retryAfter ? ` Try again in ${formatDuration(retryAfter)}.` : ''}`, data.code || 'rate_limited', retryAfter);
+}
+
+/**
+ * @param {string} message - Error message from the server
+ * @param {?string} code - Error code from the server
+ * @param {?number} retryAfter - Seconds to wait before retrying, if the server said
+ * @returns {Error} Error carrying the code, for displayError()
+ */
+function apiError(message, code, retryAfter = null) {
+    const error = new Error(message);
+    error.code = code || null;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+function withAccessToken(url) {
+    if (!apiKey) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(apiKey)}`;
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+    return `${Math.floor(seconds / 3600)}h ${Math.ceil((seconds % 3600) / 60)}min`;
+}
+
+/**
+ * @param {?string|false} message - Error to show, null to just open the form, false to close it
+ */
+function showAuthPanel(message) {
+    authPanel.hidden = message === false;
+    if (authPanel.hidden) return;
+
+    authMessage.textContent = message || (apiKey ? 'An API key is saved in this browser.' : 'Enter the API key you were given.');
+    authMessage.classList.toggle('error', Boolean(message));
+    apiKeyInput.value = '';
+    apiKeyInput.focus();
+}
+
+function saveApiKey(e) {
+    e.preventDefault();
+    const key = apiKeyInput.value.trim();
+    if (!key) return;
+
+    apiKey = key;
+    localStorage.setItem(API_KEY_STORAGE_KEY, key);
+    showAuthPanel(false);
+    loadProviders();
+    loadSpend();
+}
+
+function forgetApiKey() {
+    apiKey = '';
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    showAuthPanel(null);
+}
+
+async function loadProviders() {
+    try {
+        const res = await apiFetch('/api/providers');
+        const data = await res.json();
+        providers = data.providers || [];
+    } catch (error) {
+        console.error('Failed to load providers:', error);
+        providers = [];
+    }
+    renderProviderStatus();
+    renderSettings();
+    renderReadingOrders();
+    renderPanes();
+    renderUploadHint();
+}
+
+function availableProviders() {
+    return providers.filter(provider => provider.available !== false);
+}
+
+/**
+ * One chip per provider under the dropzone; providers the server can't run
+ * are greyed out with the reason, and are left out of extractions
+ */
+function renderProviderStatus() {
+    providerStatus.innerHTML = '';
+    providerStatus.hidden = providers.length === 0;
+
+    providers.forEach(provider => {
+        const chip = document.createElement('li');
+        chip.className = 'provider-chip';
+        chip.style.setProperty('--provider-accent', provider.accent);
+        chip.textContent = `${provider.icon} ${provider.name}`;
+        if (provider.available === false) {
+            chip.classList.add('unavailable');
+            chip.title = `Unavailable: ${provider.reason}`;
+            const reason = document.createElement('span');
+            reason.className = 'provider-chip-reason';
+            reason.textContent = 'unavailable';
+            chip.appendChild(reason);
+        }
+        providerStatus.appendChild(chip);
+    });
+
+    const none = providers.length > 0 && availableProviders().length === 0;
+    processButton.disabled = none;
+    processButton.title = none ? 'No provider is available. Check the server configuration.' : '';
+}
+
+// Largest upload any provider accepts; smaller per-provider limits are reported in that provider's pane
+function maxUploadBytes() {
+    const limits = providers.map(provider => provider.maxUploadBytes).filter(Boolean);
+    return limits.length > 0 ? Math.max(...limits) : 20 * 1024 * 1024;
+}
+
+function renderUploadHint() {
+    const limits = providers
+        .filter(provider => provider.maxUploadBytes && provider.maxUploadBytes < maxUploadBytes())
+        .map(provider => `${provider.name}: ${formatFileSize(provider.maxUploadBytes)}`);
+    uploadHint.textContent = `Maximum file size: ${formatFileSize(maxUploadBytes())}` +
+        (limits.length > 0 ? ` (${limits.join(', ')})` : '');
+}
+
+/**
+ * One pane per target; defaults to one per registered provider
+ * @param {Object[]} targets - [{ id, provider, label }]
+ */
+function renderPanes(targets = providers.map(provider => ({ id: provider.id, provider, label: null }))) {
+    comparisonGrid.innerHTML = '';
+    panes.clear();
+
+    targets.forEach(({ id, provider, label }) => {
+        const title = label ? `${provider.name} · ${label}` : provider.name;
+        const card = resultCardTemplate.content.firstElementChild.cloneNode(true);
+        card.dataset.provider = provider.id;
+        card.dataset.target = id;
+        card.style.setProperty('--provider-accent', provider.accent);
+        card.querySelector('.result-icon').textContent = provider.icon;
+        card.querySelector('.result-title').textContent = title;
+        card.querySelector('.result-subtitle').textContent = provider.description;
+
+        const pane = {
+            provider: provider,
+            title: title,
+            subtitle: card.querySelector('.result-subtitle'),
+            text: card.querySelector('.result-text'),
+            structured: card.querySelector('.result-structured'),
+            time: card.querySelector('.result-time'),
+            cost: card.querySelector('.result-cost'),
+            scores: card.querySelector('.result-scores'),
+            cacheBadge: card.querySelector('.cache-badge'),
+            warnings: card.querySelector('.result-warnings'),
+            confidence: card.querySelector('.result-confidence'),
+            progress: card.querySelector('.result-progress'),
+            charCount: card.querySelector('.char-count'),
+            copy: card.querySelector('.copy-button'),
+            csv: card.querySelector('.csv-button')
+        };
+        pane.copy.addEventListener('click', () => copyToClipboard(pane.text.textContent, pane.copy));
+        pane.csv.addEventListener('click', () => downloadCSV(id));
+
+        panes.set(id, pane);
+        comparisonGrid.appendChild(card);
+    });
+}
+
+// Provider Settings
+function renderSettings() {
+    settingsList.innerHTML = '';
+    settingsRows.clear();
+
+    const configurable = availableProviders().filter(provider => provider.settings && provider.settings.models);
+    settingsPanel.hidden = configurable.length === 0;
+
+    configurable.forEach(provider => {
+        const group = document.createElement('div');
+        group.className = 'settings-group';
+
+        const title = document.createElement('p');
+        title.className = 'settings-group-title';
+        title.textContent = provider.name;
+
+        const rows = document.createElement('div');
+        rows.className = 'settings-group';
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'copy-button';
+        addButton.textContent = '+ Add configuration';
+        addButton.addEventListener('click', () => addSettingsRow(provider, rows));
+
+        group.appendChild(title);
+        group.appendChild(rows);
+        group.appendChild(addButton);
+        settingsList.appendChild(group);
+
+        settingsRows.set(provider.id, []);
+        addSettingsRow(provider, rows);
+    });
+}
+
+/**
+ * Line order choice for providers that can sort lines by layout (Textract)
+ */
+function renderReadingOrders() {
+    const orderable = availableProviders().filter(provider => provider.settings && provider.settings.readingOrders);
+    readingOrderField.hidden = orderable.length === 0;
+    readingOrderSelect.innerHTML = '';
+    if (orderable.length === 0) return;
+
+    readingOrderHint.textContent = `(${orderable.map(provider => provider.name).join(', ')})`;
+    orderable[0].settings.readingOrders.forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        readingOrderSelect.appendChild(option);
+    });
+    readingOrderSelect.value = orderable[0].settings.defaultReadingOrder;
+}
+
+function readingOrderSettings(provider) {
+    return provider.settings && provider.settings.readingOrders
+        ? { readingOrder: readingOrderSelect.value }
+        : undefined;
+}
+
+function settingsField(labelText, input) {
+    const field = document.createElement('label');
+    field.className = 'settings-field';
+    field.appendChild(document.createTextNode(labelText));
+    field.appendChild(input);
+    return field;
+}
+
+/**
+ * Add one configuration row (label, model, prompt preset, generation config)
+ */
+function addSettingsRow(provider, container) {
+    const schema = provider.settings;
+    const rows = settingsRows.get(provider.id);
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.placeholder = `Config ${rows.length + 1}`;
+
+    // Free text with suggestions, so models outside the list can be tried too
+    const model = document.createElement('input');
+    model.type = 'text';
+    model.value = schema.defaultModel;
+    const modelList = document.createElement('datalist');
+    modelList.id = `models-${provider.id}-${Date.now()}-${rows.length}`;
+    schema.models.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        modelList.appendChild(option);
+    });
+    model.setAttribute('list', modelList.id);
+
+    const preset = document.createElement('select');
+    preset.className = 'diff-select';
+    schema.promptPresets.forEach(({ id, label: presetLabel }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = presetLabel;
+        preset.appendChild(option);
+    });
+    if (schema.customPrompt) {
+        const option = document.createElement('option');
+        option.value = 'custom';
+        option.textContent = 'Custom prompt';
+        preset.appendChild(option);
+    }
+    preset.value = schema.defaultPreset;
+
+    row.appendChild(settingsField('Label', label));
+    row.appendChild(settingsField('Model', model));
+    row.appendChild(modelList);
+    row.appendChild(settingsField('Prompt', preset));
+
+    const generationInputs = {};
+    Object.entries(schema.generationConfigLimits || {}).forEach(([name, limits]) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = limits.min;
+        input.max = limits.max;
+        input.step = limits.integer ? 1 : 0.05;
+        input.placeholder = name in schema.generationConfig ? schema.generationConfig[name] : 'default';
+        generationInputs[name] = input;
+        row.appendChild(settingsField(name, input));
+    });
+
+    const prompt = document.createElement('textarea');
+    prompt.placeholder = 'Custom extraction prompt (tables & forms mode always uses the structured prompt)';
+    const promptField = settingsField('Custom prompt', prompt);
+    promptField.classList.add('settings-prompt');
+    promptField.hidden = true;
+    preset.addEventListener('change', () => {
+        promptField.hidden = preset.value !== 'custom';
+    });
+    row.appendChild(promptField);
+
+    const entry = {
+        label: () => label.value.trim(),
+        settings: () => {
+            const settings = { model: model.value.trim(), promptPreset: preset.value };
+            if (preset.value === 'custom') {
+                settings.prompt = prompt.value;
+            }
+            const generationConfig = {};
+            Object.entries(generationInputs).forEach(([name, input]) => {
+                if (input.value !== '') generationConfig[name] = Number(input.value);
+            });
+            settings.generationConfig = generationConfig;
+            return settings;
+        }
+    };
+
+    if (rows.length > 0) {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'copy-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            rows.splice(rows.indexOf(entry), 1);
+            row.remove();
+        });
+        row.appendChild(removeButton);
+    }
+
+    rows.push(entry);
+    container.appendChild(row);
+}
+
+/**
+ * Targets to run: every available provider, once per settings row for configurable ones
+ * @returns {Object[]} [{ id, provider, label, settings }]
+ */
+function buildTargets() {
+    const targets = [];
+    const ids = new Set();
+    availableProviders().forEach(provider => {
+        const rows = settingsRows.get(provider.id);
+        if (!rows) {
+            targets.push({ id: provider.id, provider, label: null, settings: readingOrderSettings(provider) });
+            return;
+        }
+
+        rows.forEach((row, index) => {
+            const settings = row.settings();
+            let label = row.label() || null;
+            if (!label && rows.length > 1) {
+                label = `${settings.model} / ${settings.promptPreset}`;
+            }
+            if (label && ids.has(`${provider.id}:${label}`)) {
+                label = `${label} #${index + 1}`;
+            }
+            // Mirrors the id the server assigns (see parseTargets in server.js)
+            let id = provider.id;
+            if (rows.length > 1 || label) {
+                id = `${provider.id}:${label || index + 1}`;
+            }
+            ids.add(id);
+            targets.push({ id, provider, label, settings });
+        });
+    });
+    return targets;
+}
+
+/**
+ * Panes for a saved run or job: one per result, in registry order
+ */
+function targetsFromResults(entries) {
+    const order = id => providers.findIndex(provider => provider.id === id);
+    return entries
+        .map(([id, result]) => {
+            const providerId = (result && result.service) || id.split(':')[0];
+            const provider = providers.find(p => p.id === providerId)
+                || { id: providerId, name: providerId, description: '', icon: '📄', accent: '' };
+            return { id, provider, label: (result && result.label) || null };
+        })
+        .sort((a, b) => order(a.provider.id) - order(b.provider.id));
+}
+
 function handleFileSelect(e) {
-    const file = e.target.files[0];
-    if (file) {
-        handleFile(file);
+    if (e.target.files.length > 0) {
+        handleFiles(e.target.files);
+    }
+}
+
+function fileType(file) {
+    const name = file.name.toLowerCase();
+    return FILE_TYPES.find(type =>
+        type.mimeType === file.type || type.extensions.some(extension => name.endsWith(extension))
+    ) || null;
+}
+
+/**
+ * One document goes through the single-document flow; several are listed and
+ * then processed as queued documents (see processDocuments()). Transcripts
+ * dropped alongside become the reference of the document they are named
+ * after (see matchReferences()).
+ */
+function handleFiles(files) {
+    files = Array.from(files);
+    const transcripts = files.filter(isTranscript);
+    const candidates = files.filter(file => !isTranscript(file));
+    if (candidates.length <= 1) {
+        if (candidates.length === 0) {
+            alert('Please select a PDF, PNG, JPEG or TIFF file, optionally with its .txt transcript');
+            return;
+        }
+        selectSingleDocument(candidates[0], transcripts);
+        return;
+    }
+
+    const accepted = candidates.filter(file => fileType(file) && file.size <= maxUploadBytes());
+    const rejected = candidates.filter(file => !accepted.includes(file));
+    if (rejected.length > 0) {
+        alert(`Skipping files that are not a PDF, PNG, JPEG or TIFF under ${formatFileSize(maxUploadBytes())}:\n`
+            + rejected.map(file => file.name).join('\n'));
+    }
+    if (accepted.length === 0) return;
+    if (accepted.length === 1) {
+        selectSingleDocument(accepted[0], transcripts);
+        return;
+    }
+
+    selectedFile = null;
+    selectedDocuments = matchReferences(accepted, transcripts);
+    fileName.textContent = `${accepted.length} documents`;
+    fileSize.textContent = formatFileSize(accepted.reduce((total, file) => total + file.size, 0));
+    fileIcon.textContent = '🗂';
+    hidePreview();
+
+    renderFileList();
+    fileList.hidden = false;
+    // Each document has its own reference, picked in the list
+    referenceField.hidden = true;
+    referenceInput.value = '';
+
+    dropzone.style.display = 'none';
+    fileInfo.style.display = 'block';
+}
+
+function isTranscript(file) {
+    return file.type === 'text/plain' || file.name.toLowerCase().endsWith('.txt');
+}
+
+function selectSingleDocument(file, transcripts) {
+    handleFile(file);
+    const [{ reference }] = matchReferences([file], transcripts);
+    if (selectedFile && reference) {
+        const transfer = new DataTransfer();
+        transfer.items.add(reference);
+        referenceInput.files = transfer.files;
     }
 }
 
+/**
+ * Pair documents with their transcripts: invoice.pdf.txt, or invoice.txt
+ * unless another document is also called invoice
+ * @returns {Array<{file: File, reference: ?File}>}
+ */
+function matchReferences(files, transcripts) {
+    const stem = name => name.replace(/\.[^.]+$/, '');
+    return files.map(file => {
+        const exact = transcripts.find(transcript => transcript.name === `${file.name}.txt`);
+        const shared = files.filter(other => stem(other.name) === stem(file.name)).length > 1;
+        const byStem = shared ? null : transcripts.find(transcript => transcript.name === `${stem(file.name)}.txt`);
+        return { file, reference: exact || byStem || null };
+    });
+}
+
+/**
+ * Selected documents, each with a button to pick or remove its reference transcript
+ */
+function renderFileList() {
+    fileList.innerHTML = '';
+    selectedDocuments.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'file-list-item';
+        const name = document.createElement('span');
+        name.textContent = `${fileType(entry.file).icon} ${entry.file.name} · ${formatFileSize(entry.file.size)}`;
+        item.appendChild(name);
+
+        const reference = document.createElement('label');
+        reference.className = 'file-list-reference';
+        reference.title = 'Reference transcript, enables CER/WER scoring';
+        reference.textContent = entry.reference ? `📝 ${entry.reference.name}` : '+ reference';
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.txt,text/plain';
+        input.hidden = true;
+        input.addEventListener('change', () => {
+            entry.reference = input.files[0] || null;
+            renderFileList();
+        });
+        reference.appendChild(input);
+        item.appendChild(reference);
+
+        if (entry.reference) {
+            const remove = document.createElement('button');
+            remove.className = 'file-list-remove';
+            remove.textContent = '✕';
+            remove.title = 'Remove the reference transcript';
+            remove.addEventListener('click', () => {
+                entry.reference = null;
+                renderFileList();
+            });
+            item.appendChild(remove);
+        }
+        fileList.appendChild(item);
+    });
+}
+
 function handleFile(file) {
-    if (file.type !== 'application/pdf') {
-        alert('Please select a PDF file');
+    const type = fileType(file);
+    if (!type) {
+        alert('Please select a PDF, PNG, JPEG or TIFF file');
         return;
     }
 
-    if (file.size > 20 * 1024 * 1024) {
-        alert('File size must be less than 20MB');
+    if (file.size > maxUploadBytes()) {
+        alert(`File size must be less than ${formatFileSize(maxUploadBytes())}`);
         return;
     }
 
     selectedFile = file;
+    selectedDocuments = [];
+    fileList.hidden = true;
+    referenceField.hidden = false;
     fileName.textContent = file.name;
     fileSize.textContent = formatFileSize(file.size);
+    fileIcon.textContent = type.icon;
+    showPreview(file, type);
 
     dropzone.style.display = 'none';
     fileInfo.style.display = 'block';
 }
 
+function showPreview(file, type) {
+    hidePreview();
+
+    filePreview.hidden = type.mimeType === 'application/pdf';
+    filePreviewImage.hidden = !type.preview;
+    filePreviewImage.removeAttribute('src');
+    // Most browsers cannot render TIFF, so only PNG and JPEG get a thumbnail
+    filePreviewNote.textContent = type.preview ? '' : 'Preview not available for TIFF files';
+
+    if (type.preview) {
+        previewUrl = URL.createObjectURL(file);
+        filePreviewImage.src = previewUrl;
+    }
+}
+
+function hidePreview() {
+    if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+        previewUrl = null;
+    }
+    filePreview.hidden = true;
+}
+
 function clearFile() {
     selectedFile = null;
+    selectedDocuments = [];
+    hidePreview();
+    fileList.hidden = true;
+    referenceField.hidden = false;
     fileInput.value = '';
+    referenceInput.value = '';
     dropzone.style.display = 'block';
     fileInfo.style.display = 'none';
 }
@@ -106,10 +821,19 @@ function formatFileSize(bytes) {
 }
 
 async function processFile() {
+    if (selectedDocuments.length > 1) {
+        processDocuments();
+        return;
+    }
     if (!selectedFile) return;
+    currentDocumentName = selectedFile.name;
+    openDocumentId = null;
+    setSourceFile(selectedFile);
 
     // Show loading briefly
     uploadSection.style.display = 'none';
+    historySection.style.display = 'none';
+    dashboardSection.style.display = 'none';
     loadingSection.style.display = 'block';
     resultsSection.style.display = 'none';
 
@@ -120,98 +844,1603 @@ async function processFile() {
     }, 100);
 
     // Reset results to loading state
-    geminiText.innerHTML = '<p class="placeholder-text">Processing with Gemini...</p>';
-    textractText.innerHTML = '<p class="placeholder-text">Processing with Textract...</p>';
-    geminiTime.querySelector('.time-value').textContent = '...';
-    textractTime.querySelector('.time-value').textContent = '...';
-
-    // Create separate FormData for Gemini
-    const formDataGemini = new FormData();
-    formDataGemini.append('pdf', selectedFile);
-
-    // Create separate FormData for Textract
-    const formDataTextract = new FormData();
-    formDataTextract.append('pdf', selectedFile);
-
-    // Call both endpoints in parallel - they will complete independently
-    const geminiPromise = fetch('/api/extract/gemini', {
-        method: 'POST',
-        body: formDataGemini
-    }).then(res => res.json()).then(data => {
-        displayGeminiResult(data);
-    }).catch(error => {
-        console.error('Gemini request error:', error);
-        displayGeminiResult({
+    clearResults();
+    const targets = buildTargets();
+    renderPanes(targets);
+    showPendingPanes();
+
+    const formData = jobForm(selectedFile, targets, modeSelect.value);
+    if (referenceInput.files[0]) {
+        formData.append('reference', referenceInput.files[0]);
+    }
+
+    // Start a job and follow its progress stream - each pane updates independently
+    try {
+        const res = await apiFetch('/api/jobs', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            throw apiError(data.error || `Request failed (${res.status})`, data.code);
+        }
+        followJob(data.eventsUrl);
+    } catch (error) {
+        console.error('Job request error:', error);
+        panes.forEach((pane, providerId) => displayResult(providerId, {
             success: false,
+            code: error.code || null,
             error: error.message
-        });
+        }));
+    }
+}
+
+/**
+ * Multipart body for POST /api/jobs
+ */
+function jobForm(file, targets, mode) {
+    const formData = new FormData();
+    formData.append('pdf', file);
+    formData.append('mode', mode);
+    formData.append('targets', JSON.stringify(targets.map(({ provider, label, settings }) => ({
+        provider: provider.id,
+        label,
+        settings
+    }))));
+    return formData;
+}
+
+/**
+ * Put every pane in its loading state
+ */
+function showPendingPanes() {
+    panes.forEach(pane => {
+        pane.text.innerHTML = '';
+        const placeholder = document.createElement('p');
+        placeholder.className = 'placeholder-text';
+        placeholder.textContent = `Processing with ${pane.provider.name}...`;
+        pane.text.appendChild(placeholder);
+        pane.time.querySelector('.time-value').textContent = '...';
+        pane.time.querySelector('.time-value').style.color = '';
+        pane.scores.hidden = true;
+        pane.cost.hidden = true;
+        pane.confidence.hidden = true;
+        pane.cacheBadge.hidden = true;
+        displayWarnings(pane, []);
+        displayStructured(pane, null);
     });
+}
 
-    const textractPromise = fetch('/api/extract/textract', {
-        method: 'POST',
-        body: formDataTextract
-    }).then(res => res.json()).then(data => {
-        displayTextractResult(data);
-    }).catch(error => {
-        console.error('Textract request error:', error);
-        displayTextractResult({
-            success: false,
-            error: error.message
-        });
+function followJob(eventsUrl) {
+    closeJobEvents();
+    // EventSource can't send headers, so the key goes in the query string
+    jobEvents = new EventSource(withAccessToken(eventsUrl));
+
+    // Replayed on (re)connect so nothing is missed
+    jobEvents.addEventListener('snapshot', (e) => {
+        displayJob(JSON.parse(e.data));
+    });
+
+    jobEvents.addEventListener('status', (e) => {
+        const event = JSON.parse(e.data);
+        displayQueuePosition(event.position);
+    });
+
+    jobEvents.addEventListener('progress', (e) => {
+        const event = JSON.parse(e.data);
+        displayProgress(event.target, event.stage, event.message);
+    });
+
+    jobEvents.addEventListener('result', (e) => {
+        const event = JSON.parse(e.data);
+        displayResult(event.target, event.result);
     });
 
-    // Wait for both to complete (but they update UI independently)
-    await Promise.allSettled([geminiPromise, textractPromise]);
+    jobEvents.addEventListener('done', (e) => {
+        const event = JSON.parse(e.data);
+        closeJobEvents();
+        loadSpend();
+        setCurrentRun(event.job.id);
+    });
 }
 
-function displayGeminiResult(data) {
-    if (!data.success || data.error) {
-        geminiText.innerHTML = `<p style="color: #f5576c;">Error: ${data.error || 'Processing failed'}</p>`;
-        geminiTime.querySelector('.time-value').textContent = 'Failed';
-        geminiTime.querySelector('.time-value').style.color = '#f5576c';
-        geminiCharCount.textContent = '0 characters';
-    } else {
-        geminiText.textContent = data.text || 'No text extracted';
-        geminiTime.querySelector('.time-value').textContent = formatTime(data.time);
-        geminiTime.querySelector('.time-value').style.color = '#48bb78';
-        geminiCharCount.textContent = `${data.text.length.toLocaleString()} characters`;
+function closeJobEvents() {
+    if (jobEvents) {
+        jobEvents.close();
+        jobEvents = null;
     }
 }
 
-function displayTextractResult(data) {
+/**
+ * Show a job's finished results and the progress of the rest
+ */
+function displayJob(job) {
+    Object.entries(job.providers).forEach(([providerId, state]) => {
+        if (state.result) {
+            displayResult(providerId, state.result);
+        } else {
+            displayProgress(providerId, state.stage, state.message);
+        }
+    });
+    displayQueuePosition(job.position);
+}
+
+/**
+ * @param {?number} position - Place of the job in the server's queue, null once it runs
+ */
+function displayQueuePosition(position) {
+    if (!position) return;
+    panes.forEach((pane, providerId) => {
+        displayProgress(providerId, 'queued', `Waiting for a free slot (#${position} in the queue)`);
+    });
+}
+
+function displayProgress(providerId, stage, message) {
+    const pane = panes.get(providerId);
+    if (!pane || results.has(providerId)) return;
+
+    pane.progress.hidden = false;
+    pane.progress.querySelector('.progress-stage').textContent = stage;
+    pane.progress.querySelector('.progress-message').textContent = message;
+}
+
+function displayResult(providerId, data) {
+    const pane = panes.get(providerId);
+    if (!pane) return;
+
+    const timeValue = pane.time.querySelector('.time-value');
+    pane.progress.hidden = true;
+    displayCacheStatus(pane, data.cache);
+    displayCost(pane, data);
+    displaySettings(pane, data);
+    displayWarnings(pane, data.warnings || []);
+
     if (!data.success || data.error) {
-        textractText.innerHTML = `<p style="color: #f5576c;">Error: ${data.error || 'Processing failed'}</p>`;
-        textractTime.querySelector('.time-value').textContent = 'Failed';
-        textractTime.querySelector('.time-value').style.color = '#f5576c';
-        textractCharCount.textContent = '0 characters';
+        displayError(pane, data);
+        timeValue.textContent = 'Failed';
+        timeValue.style.color = '#f5576c';
+        pane.charCount.textContent = '0 characters';
+        displayConfidence(pane, null, null);
+        displayStructured(pane, null);
     } else {
-        textractText.textContent = data.text || 'No text extracted';
-        textractTime.querySelector('.time-value').textContent = formatTime(data.time);
-        textractTime.querySelector('.time-value').style.color = '#48bb78';
-        textractCharCount.textContent = `${data.text.length.toLocaleString()} characters`;
+        const page = selectedPage();
+        const view = textView(data);
+        const pageResult = page ? findPage(data, page) : null;
+        const text = resultText(data);
+
+        if (text && view === data && hasLines(data)) {
+            displayLines(pane, data, page);
+        } else {
+            pane.text.textContent = text || (page ? `No text extracted on page ${page}` : 'No text extracted');
+        }
+        timeValue.textContent = formatTime(data.time);
+        timeValue.style.color = '#48bb78';
+        pane.charCount.textContent = page
+            ? `${text.length.toLocaleString()} characters on page ${page}` + (pageResult && pageResult.time ? ` (${formatTime(pageResult.time)})` : '')
+            : `${view.text.length.toLocaleString()} characters`;
+        displayScores(pane, data.accuracy);
+        displayConfidence(pane, data, page);
+        displayStructured(pane, data.structured);
+
+        if (!results.has(providerId)) {
+            results.set(providerId, data);
+            updatePageOptions();
+            updateDiffAvailability();
+            updateLayoutAvailability();
+            updateConfidenceControl();
+        }
     }
 }
 
+/**
+ * Explain a failed result: what went wrong for its error code, what to do
+ * about it, and the server's message
+ */
+function displayError(pane, data) {
+    const known = ERROR_MESSAGES[data.code] || { title: 'Processing failed', hint: null };
+    pane.text.innerHTML = '';
 
+    const box = document.createElement('div');
+    box.className = 'result-error';
+    const title = document.createElement('p');
+    title.className = 'result-error-title';
+    title.textContent = known.title;
+    box.appendChild(title);
+    if (known.hint) {
+        const hint = document.createElement('p');
+        hint.className = 'result-error-hint';
+        hint.textContent = known.hint;
+        box.appendChild(hint);
+    }
+    if (data.error) {
+        const detail = document.createElement('p');
+        detail.className = 'result-error-detail';
+        detail.textContent = data.error;
+        box.appendChild(detail);
+    }
+    pane.text.appendChild(box);
+}
 
-function formatTime(ms) {
-    if (ms < 1000) return `${ms}ms`;
-    return `${(ms / 1000).toFixed(2)}s`;
+/**
+ * Render the text as one span per detected line, so the layout view can
+ * point at the line behind a box. The text content is unchanged.
+ */
+function displayLines(pane, data, page) {
+    pane.text.innerHTML = '';
+    const pages = page ? [findPage(data, page)] : data.pages;
+    // Reading-order text has a blank line between paragraphs and between pages
+    const layout = Boolean(data.settings && data.settings.readingOrder === 'layout');
+    pages.forEach((pageResult, pageIndex) => {
+        (pageResult.lines || []).forEach((line, index) => {
+            if ((index > 0 && line.paragraphStart) || (layout && index === 0 && pageIndex > 0 && pane.text.hasChildNodes())) {
+                pane.text.appendChild(document.createTextNode('\n'));
+            }
+            const span = document.createElement('span');
+            span.className = 'text-line';
+            span.dataset.page = String(pageResult.page);
+            span.dataset.line = String(index);
+            appendLineText(span, line);
+            pane.text.appendChild(span);
+            // A single page joins its lines; all pages end every line with a newline
+            if (!page || index < pageResult.lines.length - 1) {
+                pane.text.appendChild(document.createTextNode('\n'));
+            }
+        });
+    });
 }
 
-function resetToUpload() {
-    clearFile();
-    uploadSection.style.display = 'block';
-    loadingSection.style.display = 'none';
-    resultsSection.style.display = 'none';
+/**
+ * Line text with low-confidence words flagged (or the whole line, when its
+ * words don't spell out the line text)
+ */
+function appendLineText(span, line) {
+    const words = line.words || [];
+    if (words.length === 0 || words.map(word => word.text).join(' ') !== line.text) {
+        span.textContent = line.text;
+        flagConfidence(span, line.confidence);
+        return;
+    }
 
-    // Reset results
-    geminiText.innerHTML = '<p class="placeholder-text">Extracted text will appear here...</p>';
-    textractText.innerHTML = '<p class="placeholder-text">Extracted text will appear here...</p>';
-    geminiTime.querySelector('.time-value').textContent = '-';
-    textractTime.querySelector('.time-value').textContent = '-';
-    geminiCharCount.textContent = '0 characters';
-    textractCharCount.textContent = '0 characters';
+    words.forEach((word, index) => {
+        if (index > 0) span.appendChild(document.createTextNode(' '));
+        const wordSpan = document.createElement('span');
+        wordSpan.textContent = word.text;
+        flagConfidence(wordSpan, word.confidence);
+        span.appendChild(wordSpan);
+    });
+}
+
+function flagConfidence(element, confidence) {
+    if (typeof confidence !== 'number') return;
+    element.title = `Confidence ${confidence.toFixed(1)}%`;
+    element.classList.toggle('low-confidence', confidence < confidenceThreshold);
+}
+
+function hasLines(data) {
+    return (data.pages || []).some(pageResult => pageResult.lines && pageResult.lines.length > 0);
+}
+
+// Tables & Forms
+/**
+ * Structured result restricted to the selected page (if any)
+ */
+function structuredForPage(structured) {
+    const page = selectedPage();
+    if (!structured || !page) return structured;
+    return {
+        tables: structured.tables.filter(table => table.page === page),
+        keyValues: structured.keyValues.filter(pair => pair.page === page)
+    };
+}
+
+function displayStructured(pane, structured) {
+    pane.structured.innerHTML = '';
+    pane.structured.hidden = !structured;
+    pane.csv.hidden = !structured;
+    if (!structured) return;
+
+    const visible = structuredForPage(structured);
+
+    if (visible.keyValues.length > 0) {
+        pane.structured.appendChild(buildTableSection(
+            `Form fields (${visible.keyValues.length})`,
+            [['Key', 'Value']].concat(visible.keyValues.map(pair => [pair.key, pair.value]))
+        ));
+    }
+
+    visible.tables.forEach((table, index) => {
+        pane.structured.appendChild(buildTableSection(`Table ${index + 1} · page ${table.page}`, table.rows));
+    });
+
+    if (visible.keyValues.length === 0 && visible.tables.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'placeholder-text';
+        empty.textContent = 'No tables or form fields detected';
+        pane.structured.appendChild(empty);
+    }
+}
+
+/**
+ * Render rows as an HTML table, treating the first row as the header
+ */
+function buildTableSection(title, rows) {
+    const section = document.createElement('div');
+    const heading = document.createElement('p');
+    heading.className = 'structured-heading';
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'structured-table';
+    rows.forEach((cells, rowIndex) => {
+        const tr = document.createElement('tr');
+        cells.forEach(cell => {
+            const td = document.createElement(rowIndex === 0 ? 'th' : 'td');
+            td.textContent = cell;
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    section.appendChild(table);
+
+    return section;
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Key-value pairs first, then each table under a "Table n (page p)" heading
+ */
+function structuredToCSV(structured) {
+    const lines = [];
+    const row = values => lines.push(values.map(csvField).join(','));
+
+    if (structured.keyValues.length > 0) {
+        row(['Page', 'Key', 'Value']);
+        structured.keyValues.forEach(pair => row([pair.page, pair.key, pair.value]));
+    }
+
+    structured.tables.forEach((table, index) => {
+        if (lines.length > 0) lines.push('');
+        row([`Table ${index + 1} (page ${table.page})`]);
+        table.rows.forEach(cells => row(cells));
+    });
+
+    return lines.join('\r\n');
+}
+
+function downloadCSV(providerId) {
+    const data = results.get(providerId);
+    if (!data || !data.structured) return;
+
+    const page = selectedPage();
+    const baseName = currentDocumentName ? currentDocumentName.replace(/\.pdf$/i, '') : 'document';
+    const blob = new Blob([structuredToCSV(structuredForPage(data.structured))], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${baseName}-${providerId}${page ? `-page${page}` : ''}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Page Comparison
+function selectedPage() {
+    return pageSelect.value ? parseInt(pageSelect.value, 10) : null;
+}
+
+function findPage(data, page) {
+    return (data.pages || []).find(entry => entry.page === page) || null;
+}
+
+/**
+ * Raw or normalized text and pages of a result, per the text view selector.
+ * Runs saved before normalization existed only have the raw text.
+ */
+function textView(data) {
+    return textViewSelect.value === 'normalized' && data.normalized ? data.normalized : data;
+}
+
+/**
+ * Text to compare for a result, honouring the page and text view selectors
+ */
+function resultText(data) {
+    const view = textView(data);
+    const page = selectedPage();
+    if (!page) return view.text;
+    const pageResult = findPage(view, page);
+    return pageResult ? pageResult.text : '';
+}
+
+function updatePageOptions() {
+    const previous = pageSelect.value;
+    const pageCount = Math.max(0, ...Array.from(results.values()).map(data =>
+        Math.max(0, ...(data.pages || []).map(entry => entry.page))
+    ));
+
+    pageSelect.innerHTML = '<option value="">All pages</option>';
+    for (let page = 1; page <= pageCount; page++) {
+        const option = document.createElement('option');
+        option.value = String(page);
+        option.textContent = `Page ${page} of ${pageCount}`;
+        pageSelect.appendChild(option);
+    }
+
+    pageSelect.value = previous && parseInt(previous, 10) <= pageCount ? previous : '';
+    pageSelect.disabled = pageCount < 2;
+}
+
+function handlePageChange() {
+    results.forEach((data, providerId) => displayResult(providerId, data));
+    if (!diffView.hidden) {
+        renderDiff();
+    }
+    if (!layoutView.hidden) {
+        renderLayout();
+    }
+}
+
+function handleTextViewChange() {
+    results.forEach((data, providerId) => displayResult(providerId, data));
+    if (!diffView.hidden) {
+        renderDiff();
+    }
+}
+
+/**
+ * Non-fatal provider warnings, e.g. Textract PARTIAL_SUCCESS or skipped pages
+ */
+function displayWarnings(pane, warnings) {
+    pane.warnings.innerHTML = '';
+    warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = `⚠️ ${warning}`;
+        pane.warnings.appendChild(item);
+    });
+    pane.warnings.hidden = warnings.length === 0;
+}
+
+/**
+ * Show the model and prompt a result was produced with
+ */
+function displaySettings(pane, data) {
+    const settings = data.settings;
+    if (!data.model && !settings) {
+        pane.subtitle.textContent = pane.provider.description;
+        pane.subtitle.title = '';
+        return;
+    }
+
+    const parts = [data.model];
+    if (settings && settings.promptPreset) parts.push(`${settings.promptPreset} prompt`);
+    if (settings && settings.readingOrder === 'layout') parts.push('reading order');
+    if (settings && settings.generationConfig && settings.generationConfig.temperature !== undefined) {
+        parts.push(`temp ${settings.generationConfig.temperature}`);
+    }
+    pane.subtitle.textContent = parts.filter(Boolean).join(' · ');
+    pane.subtitle.title = settings ? JSON.stringify(settings, null, 2) : '';
+}
+
+function displayCacheStatus(pane, cache) {
+    const hit = Boolean(cache && cache.status === 'hit');
+    pane.cacheBadge.hidden = !hit;
+    pane.cacheBadge.title = hit
+        ? `Not freshly computed: served from the result cache (extracted ${new Date(cache.cachedAt).toLocaleString()})`
+        : '';
+}
+
+/**
+ * Estimated cost of the extraction; cache hits show what the original run cost
+ */
+function displayCost(pane, data) {
+    const cost = data.cost;
+    pane.cost.hidden = !cost;
+    if (!cost) return;
+
+    const hit = Boolean(data.cache && data.cache.status === 'hit');
+    const value = pane.cost.querySelector('.cost-value');
+    value.textContent = formatCost(cost.amount, cost.currency);
+    value.classList.toggle('not-billed', hit);
+    pane.cost.title = [describeUsage(data.usage), hit ? 'Not billed again: served from the result cache' : '']
+        .filter(Boolean)
+        .join('\n');
+}
+
+function describeUsage(usage) {
+    if (!usage) return '';
+
+    const parts = [];
+    if (usage.pages) parts.push(`${usage.pages.toLocaleString()} page${usage.pages === 1 ? '' : 's'}`);
+    if (usage.inputTokens) parts.push(`${usage.inputTokens.toLocaleString()} input tokens`);
+    if (usage.outputTokens) parts.push(`${usage.outputTokens.toLocaleString()} output tokens`);
+    if (usage.thinkingTokens) parts.push(`${usage.thinkingTokens.toLocaleString()} thinking tokens`);
+    return parts.join(', ');
+}
+
+function formatCost(amount, currency = 'USD') {
+    // Sub-cent amounts are common, so keep enough digits to tell them apart
+    const digits = amount > 0 && amount < 0.01 ? 4 : 2;
+    return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(amount);
+}
+
+// Cumulative estimated spend across every extraction the server has billed
+async function loadSpend() {
+    try {
+        const res = await apiFetch('/api/usage');
+        if (!res.ok) return;
+        const usage = await res.json();
+
+        spendTotal.hidden = false;
+        spendTotal.textContent = `Total spend: ${formatCost(usage.total.cost, usage.currency)}`;
+        spendTotal.title = `${usage.total.extractions.toLocaleString()} extractions since ${new Date(usage.since).toLocaleString()}`;
+    } catch (error) {
+        console.error('Failed to load usage:', error);
+    }
+}
+
+/**
+ * Mean, minimum and share below the threshold of the word confidences (line
+ * confidences when there are no words) on the selected page or every page
+ */
+function displayConfidence(pane, data, page) {
+    pane.confidence.innerHTML = '';
+    const pages = data && hasLines(data)
+        ? (page ? [findPage(data, page)].filter(Boolean) : data.pages)
+        : [];
+    const lines = pages.flatMap(pageResult => pageResult.lines || []);
+    const words = lines.flatMap(line => line.words || []);
+    const unit = words.length ? 'words' : 'lines';
+    const values = (words.length ? words : lines)
+        .map(item => item.confidence)
+        .filter(confidence => typeof confidence === 'number');
+
+    pane.confidence.hidden = values.length === 0;
+    if (values.length === 0) return;
+
+    const below = values.filter(value => value < confidenceThreshold).length;
+    // reduce rather than Math.min(...values), which overflows the stack on large documents
+    const min = values.reduce((lowest, value) => (value < lowest ? value : lowest), Infinity);
+    [
+        ['Mean confidence', `${(values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1)}%`],
+        ['Min', `${min.toFixed(1)}%`],
+        [`${unit} < ${confidenceThreshold}%`, `${formatPercent(below / values.length)} (${below.toLocaleString()})`]
+    ].forEach(([label, value]) => {
+        const badge = document.createElement('span');
+        badge.className = 'score-badge';
+        badge.textContent = label;
+        const strong = document.createElement('strong');
+        strong.textContent = value;
+        badge.appendChild(strong);
+        pane.confidence.appendChild(badge);
+    });
+}
+
+function updateConfidenceControl() {
+    confidenceControl.hidden = !Array.from(results.values()).some(hasLines);
+}
+
+function handleThresholdChange() {
+    const value = parseFloat(confidenceThresholdInput.value);
+    if (!Number.isFinite(value) || value < 0 || value > 100) return;
+
+    confidenceThreshold = value;
+    results.forEach((data, targetId) => displayResult(targetId, data));
+    if (!layoutView.hidden) {
+        renderLayout();
+    }
+}
+
+function displayScores(pane, accuracy) {
+    pane.scores.innerHTML = '';
+    pane.scores.hidden = !accuracy;
+    if (!accuracy) return;
+
+    [
+        ['CER', accuracy.cer],
+        ['WER', accuracy.wer],
+        ['Precision', accuracy.precision],
+        ['Recall', accuracy.recall]
+    ].forEach(([label, value]) => {
+        const badge = document.createElement('span');
+        badge.className = 'score-badge';
+        badge.textContent = label;
+        const strong = document.createElement('strong');
+        strong.textContent = formatPercent(value);
+        badge.appendChild(strong);
+        pane.scores.appendChild(badge);
+    });
+}
+
+function formatTime(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function clearResults() {
+    results.clear();
+    setCurrentRun(null);
+    setLayoutMode(false);
+    updateLayoutAvailability();
+    updateConfidenceControl();
+    setDiffMode(false);
+    updateDiffAvailability();
+    updatePageOptions();
+}
+
+function resetToUpload() {
+    closeJobEvents();
+    clearFile();
+    setSourceFile(null);
+    currentDocumentName = null;
+    openDocumentId = null;
+    uploadSection.style.display = 'block';
+    historySection.style.display = 'none';
+    dashboardSection.style.display = 'none';
+    loadingSection.style.display = 'none';
+    resultsSection.style.display = 'none';
+
+    // Reset results
+    clearResults();
+    renderPanes();
+}
+
+// Documents
+/**
+ * Queue the selected files as documents, each processed as its own job with
+ * the current mode and provider settings
+ */
+function processDocuments() {
+    const targets = buildTargets();
+    const mode = modeSelect.value;
+    selectedDocuments.forEach(({ file, reference }) => {
+        documents.push({
+            id: nextDocumentId++,
+            file,
+            reference,
+            targets,
+            mode,
+            status: 'waiting',
+            position: null,
+            message: null,
+            job: null,
+            error: null,
+            events: null
+        });
+    });
+
+    clearFile();
+    showDashboard();
+    pumpDocuments();
+}
+
+/**
+ * Submit waiting documents while fewer than DOCUMENT_CONCURRENCY are in progress
+ */
+function pumpDocuments() {
+    const inProgress = documents.filter(doc => ['uploading', 'queued', 'running'].includes(doc.status)).length;
+    if (Date.now() >= documentsResumeAt) {
+        documents
+            .filter(doc => doc.status === 'waiting')
+            .slice(0, Math.max(0, DOCUMENT_CONCURRENCY - inProgress))
+            .forEach(submitDocument);
+    }
+    renderDashboard();
+}
+
+async function submitDocument(doc) {
+    doc.status = 'uploading';
+    doc.message = null;
+
+    const formData = jobForm(doc.file, doc.targets, doc.mode);
+    if (doc.reference) {
+        formData.append('reference', doc.reference);
+    }
+
+    try {
+        const res = await apiFetch('/api/jobs', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            throw apiError(data.error || `Request failed (${res.status})`, data.code, data.retryAfter);
+        }
+        doc.status = 'queued';
+        followDocument(doc, data.eventsUrl);
+    } catch (error) {
+        if (RETRYABLE_CODES.includes(error.code) && error.retryAfter) {
+            // Hold every document back, not just this one, until the server is ready again
+            doc.status = 'waiting';
+            doc.message = `${ERROR_MESSAGES[error.code].title}, retrying in ${formatDuration(error.retryAfter)}`;
+            documentsResumeAt = Date.now() + error.retryAfter * 1000;
+            setTimeout(pumpDocuments, error.retryAfter * 1000);
+        } else {
+            console.error(`Job request error for ${doc.file.name}:`, error);
+            doc.status = 'failed';
+            doc.error = error;
+        }
+    }
+    pumpDocuments();
+}
+
+/**
+ * Keep a document's job up to date from its progress stream, mirroring it
+ * into the result panes while the document is open
+ */
+function followDocument(doc, eventsUrl) {
+    doc.events = new EventSource(withAccessToken(eventsUrl));
+    const isOpen = () => openDocumentId === doc.id;
+    const on = (type, handler) => doc.events.addEventListener(type, (e) => {
+        handler(JSON.parse(e.data));
+        renderDashboard();
+    });
+
+    on('snapshot', (job) => {
+        doc.job = job;
+        doc.status = job.status;
+        doc.position = job.position;
+        if (isOpen()) displayJob(job);
+    });
+
+    on('status', (event) => {
+        doc.status = event.status;
+        doc.position = event.position;
+        if (isOpen()) displayQueuePosition(event.position);
+    });
+
+    on('progress', (event) => {
+        const state = doc.job && doc.job.providers[event.target];
+        if (state) {
+            state.stage = event.stage;
+            state.message = event.message;
+        }
+        if (isOpen()) displayProgress(event.target, event.stage, event.message);
+    });
+
+    on('result', (event) => {
+        const state = doc.job && doc.job.providers[event.target];
+        if (state) {
+            state.status = event.result.success ? 'succeeded' : 'failed';
+            state.result = event.result;
+        }
+        if (isOpen()) displayResult(event.target, event.result);
+    });
+
+    on('done', (event) => {
+        closeDocumentEvents(doc);
+        doc.job = event.job;
+        doc.status = event.job.status;
+        doc.position = null;
+        loadSpend();
+        if (isOpen()) setCurrentRun(event.job.id);
+        pumpDocuments();
+    });
+
+    // EventSource reconnects by itself; it only gives up when the job is gone
+    doc.events.addEventListener('error', () => {
+        if (!doc.events || doc.events.readyState !== EventSource.CLOSED) return;
+        closeDocumentEvents(doc);
+        doc.status = 'failed';
+        doc.error = apiError('Lost the connection to the job. It may have expired on the server.', null);
+        pumpDocuments();
+    });
+}
+
+function closeDocumentEvents(doc) {
+    if (doc.events) {
+        doc.events.close();
+        doc.events = null;
+    }
+}
+
+function showDashboard() {
+    closeJobEvents();
+    openDocumentId = null;
+    uploadSection.style.display = 'none';
+    historySection.style.display = 'none';
+    loadingSection.style.display = 'none';
+    resultsSection.style.display = 'none';
+    dashboardSection.style.display = 'block';
+    renderDashboard();
+}
+
+/**
+ * Show one document's results in the side-by-side view
+ */
+function openDocument(doc) {
+    if (!doc.job) return;
+
+    closeJobEvents();
+    openDocumentId = doc.id;
+    currentDocumentName = doc.file.name;
+    setSourceFile(doc.file);
+    dashboardSection.style.display = 'none';
+    resultsSection.style.display = 'block';
+
+    clearResults();
+    renderPanes(doc.targets);
+    showPendingPanes();
+    displayJob(doc.job);
+    if (doc.job.completedAt) {
+        setCurrentRun(doc.job.id);
+    }
+}
+
+function clearFinishedDocuments() {
+    for (let index = documents.length - 1; index >= 0; index--) {
+        if (['completed', 'failed'].includes(documents[index].status)) {
+            documents.splice(index, 1);
+        }
+    }
+    renderDashboard();
+}
+
+/**
+ * Table with one row per document and one column per target; finished
+ * targets show time, characters and quality metrics
+ */
+function renderDashboard() {
+    const finished = documents.filter(doc => ['completed', 'failed'].includes(doc.status)).length;
+    documentsButton.hidden = documents.length === 0;
+    documentsButton.querySelector('span').textContent = `🗂 Documents (${finished}/${documents.length})`;
+    dashboardClearButton.disabled = finished === 0;
+    dashboardSummary.textContent = documents.length
+        ? `${finished} of ${documents.length} finished`
+        : '';
+    if (dashboardSection.style.display === 'none') return;
+
+    dashboardTable.innerHTML = '';
+    if (documents.length === 0) {
+        const empty = document.createElement('caption');
+        empty.className = 'placeholder-text';
+        empty.textContent = 'No documents yet. Select or drop several files to queue them.';
+        dashboardTable.appendChild(empty);
+        return;
+    }
+
+    // Documents queued with different settings can have different targets
+    const columns = [];
+    documents.forEach(doc => doc.targets.forEach(target => {
+        if (!columns.some(column => column.id === target.id)) columns.push(target);
+    }));
+
+    const head = dashboardTable.createTHead().insertRow();
+    ['Document', 'Status'].concat(columns.map(({ provider, label }) => (label ? `${provider.name} · ${label}` : provider.name)))
+        .forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            head.appendChild(cell);
+        });
+
+    const body = dashboardTable.createTBody();
+    documents.forEach(doc => {
+        const row = body.insertRow();
+        row.className = 'dashboard-row';
+        if (doc.job) {
+            row.classList.add('openable');
+            row.tabIndex = 0;
+            row.title = 'Open the side-by-side view';
+            row.addEventListener('click', () => openDocument(doc));
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') openDocument(doc);
+            });
+        }
+
+        const name = row.insertCell();
+        name.className = 'dashboard-document';
+        name.textContent = doc.file.name;
+        const size = document.createElement('span');
+        size.className = 'history-meta';
+        size.textContent = formatFileSize(doc.file.size) + (doc.reference ? ` · 📝 ${doc.reference.name}` : '');
+        name.appendChild(size);
+
+        const status = row.insertCell();
+        status.className = `dashboard-status ${doc.status}`;
+        status.textContent = documentStatus(doc);
+        if (doc.error) status.title = doc.error.message;
+
+        columns.forEach(column => {
+            const state = doc.job && doc.job.providers[column.id];
+            row.appendChild(targetCell(state));
+        });
+    });
+
+    const foot = dashboardTable.createTFoot().insertRow();
+    const label = foot.insertCell();
+    label.colSpan = 2;
+    label.textContent = 'All documents';
+    columns.forEach(column => {
+        const done = documents
+            .map(doc => doc.job && doc.job.providers[column.id] && doc.job.providers[column.id].result)
+            .filter(Boolean);
+        const succeeded = done.filter(result => result.success);
+        const cell = foot.insertCell();
+        cell.textContent = done.length === 0 ? '—' : `${succeeded.length}/${done.length} ✓`
+            + (succeeded.length
+                ? ` · avg ${formatTime(Math.round(succeeded.reduce((sum, result) => sum + result.time, 0) / succeeded.length))}`
+                : '');
+    });
+}
+
+function documentStatus(doc) {
+    if (doc.error) return (ERROR_MESSAGES[doc.error.code] || { title: 'Failed' }).title;
+    if (doc.status === 'waiting') return doc.message || 'Waiting';
+    if (doc.status === 'uploading') return 'Uploading...';
+    if (doc.status === 'queued') return doc.position ? `Queued (#${doc.position})` : 'Queued';
+    if (doc.status === 'running') return 'Running';
+    if (doc.status === 'completed') return 'Completed';
+    return 'All providers failed';
+}
+
+/**
+ * One target's cell: its stage while running, otherwise the outcome and metrics
+ */
+function targetCell(state) {
+    const cell = document.createElement('td');
+    cell.className = 'dashboard-target';
+    if (!state) {
+        cell.textContent = '—';
+        return cell;
+    }
+
+    const result = state.result;
+    if (!result) {
+        cell.classList.add('pending');
+        cell.textContent = state.stage;
+        cell.title = state.message || '';
+        return cell;
+    }
+    if (!result.success) {
+        cell.classList.add('failed');
+        cell.textContent = `✕ ${(ERROR_MESSAGES[result.code] || { title: 'Failed' }).title}`;
+        cell.title = result.error || '';
+        return cell;
+    }
+
+    const summary = document.createElement('div');
+    summary.textContent = `✓ ${formatTime(result.time)} · ${(result.text || '').length.toLocaleString()} chars`
+        + (result.cost ? ` · ${formatCost(result.cost.amount, result.cost.currency)}` : '');
+    cell.appendChild(summary);
+
+    const metrics = [];
+    if (result.accuracy) {
+        metrics.push(`CER ${formatPercent(result.accuracy.cer)}`, `WER ${formatPercent(result.accuracy.wer)}`);
+    }
+    const confidence = result.confidence && (result.confidence.words || result.confidence.lines);
+    if (confidence) {
+        metrics.push(`confidence ${confidence.mean.toFixed(1)}%`, `${formatPercent(confidence.belowThreshold)} < ${result.confidence.threshold}%`);
+    }
+    if (result.warnings && result.warnings.length) {
+        metrics.push(`⚠ ${result.warnings.length}`);
+    }
+    if (metrics.length) {
+        const line = document.createElement('div');
+        line.className = 'history-meta';
+        line.textContent = metrics.join(' · ');
+        cell.appendChild(line);
+    }
+    return cell;
+}
+
+// History
+async function showHistory() {
+    closeJobEvents();
+    openDocumentId = null;
+    uploadSection.style.display = 'none';
+    dashboardSection.style.display = 'none';
+    loadingSection.style.display = 'none';
+    resultsSection.style.display = 'none';
+    historySection.style.display = 'block';
+    await loadHistory();
+}
+
+async function loadHistory() {
+    try {
+        const res = await apiFetch(`/api/runs?q=${encodeURIComponent(historySearch.value)}`);
+        const data = await res.json();
+        renderHistory(data.runs || []);
+    } catch (error) {
+        console.error('Failed to load history:', error);
+        historyList.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'placeholder-text';
+        message.textContent = `Failed to load history: ${error.message}`;
+        historyList.appendChild(message);
+    }
+}
+
+function renderHistory(runs) {
+    historyList.innerHTML = '';
+
+    if (runs.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'placeholder-text';
+        empty.textContent = historySearch.value ? 'No runs match your search' : 'No comparisons saved yet';
+        historyList.appendChild(empty);
+        return;
+    }
+
+    runs.forEach(run => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const details = document.createElement('div');
+        const name = document.createElement('p');
+        name.className = 'file-name';
+        name.textContent = run.file.name;
+        const meta = document.createElement('p');
+        meta.className = 'history-meta';
+        meta.textContent = `${new Date(run.createdAt).toLocaleString()} · ${formatFileSize(run.file.size)} · ${run.mode} · sha256 ${run.file.sha256.slice(0, 12)}`;
+
+        const providerList = document.createElement('div');
+        providerList.className = 'history-providers';
+        Object.entries(run.providers).forEach(([providerId, summary]) => {
+            const chip = document.createElement('span');
+            chip.className = `score-badge history-provider${summary.success ? '' : ' failed'}`;
+            chip.title = summary.error || summary.model || '';
+            chip.textContent = summary.success
+                ? `${providerId} ✓ ${formatTime(summary.time)} · ${summary.chars.toLocaleString()} chars`
+                    + (summary.cost ? ` · ${formatCost(summary.cost.amount, summary.cost.currency)}` : '')
+                : `${providerId} ✕ failed`;
+            providerList.appendChild(chip);
+        });
+
+        details.appendChild(name);
+        details.appendChild(meta);
+        details.appendChild(providerList);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const openButton = document.createElement('button');
+        openButton.className = 'copy-button';
+        openButton.textContent = 'Open';
+        openButton.addEventListener('click', () => openRun(run.id));
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'copy-button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteRun(run.id, run.file.name));
+        actions.appendChild(openButton);
+        actions.appendChild(deleteButton);
+
+        item.appendChild(details);
+        item.appendChild(actions);
+        historyList.appendChild(item);
+    });
+}
+
+async function openRun(id) {
+    try {
+        const res = await apiFetch(`/api/runs/${id}`);
+        const run = await res.json();
+        if (!res.ok) {
+            throw new Error(run.error || `Request failed (${res.status})`);
+        }
+
+        currentDocumentName = run.file.name;
+        openDocumentId = null;
+        setSourceFile(null);
+        historySection.style.display = 'none';
+        resultsSection.style.display = 'block';
+
+        clearResults();
+        setCurrentRun(run.id);
+        renderPanes(targetsFromResults(Object.entries(run.providers)));
+        Object.entries(run.providers).forEach(([providerId, result]) => {
+            if (result) {
+                displayResult(providerId, result);
+            }
+        });
+    } catch (error) {
+        console.error('Failed to open run:', error);
+        alert(`Failed to open run: ${error.message}`);
+    }
+}
+
+async function deleteRun(id, name) {
+    if (!confirm(`Delete the saved comparison for "${name}"?`)) return;
+
+    try {
+        const res = await apiFetch(`/api/runs/${id}`, { method: 'DELETE' });
+        if (!res.ok) {
+            const data = await res.json();
+            throw new Error(data.error || `Request failed (${res.status})`);
+        }
+        await loadHistory();
+    } catch (error) {
+        console.error('Failed to delete run:', error);
+        alert(`Failed to delete run: ${error.message}`);
+    }
+}
+
+// Export
+function setCurrentRun(id) {
+    currentRunId = id;
+    // Runs are saved when the job finishes, so exports wait for that
+    exportButtons.querySelectorAll('button').forEach(button => {
+        button.disabled = !id;
+    });
+}
+
+/**
+ * Download the saved run as a JSON, Markdown or HTML report
+ */
+function exportRun(format) {
+    if (!currentRunId) return;
+
+    const link = document.createElement('a');
+    link.href = withAccessToken(`/api/runs/${currentRunId}/export?format=${encodeURIComponent(format)}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+function debounce(fn, ms) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), ms);
+    };
+}
+
+// Diff View
+function updateDiffAvailability() {
+    const available = Array.from(results.keys());
+    diffToggleButton.disabled = available.length < 2;
+
+    [diffLeftSelect, diffRightSelect].forEach((select, index) => {
+        const previous = select.value;
+        select.innerHTML = '';
+        available.forEach(providerId => {
+            const option = document.createElement('option');
+            option.value = providerId;
+            option.textContent = panes.get(providerId).title;
+            select.appendChild(option);
+        });
+        select.value = available.includes(previous) ? previous : (available[index] || '');
+    });
+
+    if (!diffView.hidden) {
+        renderDiff();
+    }
+}
+
+function toggleDiffView() {
+    setDiffMode(diffView.hidden);
+}
+
+function setDiffMode(enabled) {
+    diffView.hidden = !enabled;
+    comparisonGrid.style.display = enabled ? 'none' : '';
+    diffToggleButton.classList.toggle('active', enabled);
+    diffToggleButton.querySelector('span').textContent = enabled ? 'Side-by-Side View' : 'Diff View';
+    if (enabled) {
+        renderDiff();
+    }
+}
+
+function renderDiff() {
+    const left = results.get(diffLeftSelect.value);
+    const right = results.get(diffRightSelect.value);
+    diffTable.innerHTML = '';
+    diffDisagreements = [];
+    diffIndex = -1;
+
+    if (!left || !right) {
+        diffSimilarity.textContent = '-';
+        diffCounter.textContent = '0 disagreements';
+        return;
+    }
+
+    const rows = alignLines(resultText(left), resultText(right));
+    let matchedWords = 0;
+    let leftWords = 0;
+    let rightWords = 0;
+
+    rows.forEach(row => {
+        const rowElement = document.createElement('div');
+        rowElement.className = `diff-row diff-${row.type}`;
+        const leftCell = document.createElement('div');
+        leftCell.className = 'diff-cell';
+        const rightCell = document.createElement('div');
+        rightCell.className = 'diff-cell';
+
+        const leftTokens = row.left !== null ? splitWords(row.left) : [];
+        const rightTokens = row.right !== null ? splitWords(row.right) : [];
+        leftWords += leftTokens.length;
+        rightWords += rightTokens.length;
+
+        if (row.type === 'changed') {
+            diffSequences(leftTokens, rightTokens).forEach(op => {
+                if (op.type === 'equal') {
+                    matchedWords++;
+                    appendWord(leftCell, leftTokens[op.a]);
+                    appendWord(rightCell, rightTokens[op.b]);
+                } else if (op.type === 'delete') {
+                    appendWord(leftCell, leftTokens[op.a], 'diff-word-delete');
+                } else {
+                    appendWord(rightCell, rightTokens[op.b], 'diff-word-insert');
+                }
+            });
+        } else {
+            if (row.type === 'equal') {
+                matchedWords += leftTokens.length;
+            }
+            leftCell.textContent = row.left || '';
+            rightCell.textContent = row.right || '';
+        }
+
+        rowElement.appendChild(leftCell);
+        rowElement.appendChild(rightCell);
+        diffTable.appendChild(rowElement);
+
+        if (row.type !== 'equal') {
+            diffDisagreements.push(rowElement);
+        }
+    });
+
+    const totalWords = leftWords + rightWords;
+    const similarity = totalWords > 0 ? (2 * matchedWords) / totalWords : 1;
+    diffSimilarity.textContent = formatPercent(similarity);
+    diffCounter.textContent = `${diffDisagreements.length.toLocaleString()} disagreements`;
+}
+
+// Layout View
+function setSourceFile(file) {
+    sourceFile = file;
+    sourcePdf = null;
+    if (sourceImageUrl) {
+        URL.revokeObjectURL(sourceImageUrl);
+        sourceImageUrl = null;
+    }
+}
+
+/**
+ * Targets whose results carry line geometry (Textract)
+ */
+function layoutTargets() {
+    return Array.from(results.entries())
+        .filter(([, data]) => hasLines(data))
+        .map(([targetId]) => targetId);
+}
+
+function updateLayoutAvailability() {
+    const available = layoutTargets();
+    layoutToggleButton.disabled = !sourceFile || available.length === 0;
+    layoutToggleButton.title = sourceFile
+        ? (available.length ? '' : 'No result with line positions yet')
+        : 'Only available for the file you just uploaded';
+
+    const previous = layoutTargetSelect.value;
+    layoutTargetSelect.innerHTML = '';
+    available.forEach(targetId => {
+        const option = document.createElement('option');
+        option.value = targetId;
+        option.textContent = panes.get(targetId).title;
+        layoutTargetSelect.appendChild(option);
+    });
+    layoutTargetSelect.value = available.includes(previous) ? previous : (available[0] || '');
+
+    if (!layoutView.hidden && layoutToggleButton.disabled) {
+        setLayoutMode(false);
+    }
+}
+
+function setLayoutMode(enabled) {
+    layoutView.hidden = !enabled;
+    layoutToggleButton.classList.toggle('active', enabled);
+    layoutToggleButton.querySelector('span').textContent = enabled ? 'Hide Layout' : 'Layout View';
+    if (enabled) {
+        renderLayout();
+    }
+}
+
+function confidenceClass(confidence) {
+    if (confidence === null || confidence === undefined) return 'confidence-high';
+    if (confidence < confidenceThreshold) return 'confidence-low';
+    return confidence < 95 ? 'confidence-medium' : 'confidence-high';
+}
+
+/**
+ * Draw the selected page of the source file with the target's lines on top
+ */
+async function renderLayout() {
+    const renderId = ++layoutRenderId;
+    const targetId = layoutTargetSelect.value;
+    const data = results.get(targetId);
+    const page = selectedPage() || 1;
+
+    layoutPageLabel.textContent = `Page ${page}`;
+    layoutLegendLow.textContent = `< ${confidenceThreshold}%`;
+    layoutLegendMedium.textContent = `${confidenceThreshold}–95%`;
+    layoutLegendMedium.hidden = confidenceThreshold >= 95;
+    layoutOverlay.innerHTML = '';
+    layoutMessage.hidden = true;
+    if (!data || !sourceFile) return;
+
+    try {
+        await renderSourcePage(page, renderId);
+    } catch (error) {
+        if (error && error.name === 'RenderingCancelledException') return;
+        console.error('Failed to render page:', error);
+        showLayoutMessage(`Could not render the page (${error.message}); boxes are drawn on a blank page.`);
+        showBlankPage();
+    }
+    if (renderId !== layoutRenderId) return;
+
+    const pageResult = findPage(data, page);
+    (pageResult ? pageResult.lines || [] : []).forEach((line, index) => {
+        if (!line.boundingBox) return;
+
+        const box = document.createElement('button');
+        box.className = `layout-box ${confidenceClass(line.confidence)}`;
+        box.style.left = `${line.boundingBox.left * 100}%`;
+        box.style.top = `${line.boundingBox.top * 100}%`;
+        box.style.width = `${line.boundingBox.width * 100}%`;
+        box.style.height = `${line.boundingBox.height * 100}%`;
+        box.title = line.confidence === null ? line.text : `${line.text} (${line.confidence.toFixed(1)}%)`;
+        box.addEventListener('click', () => {
+            layoutOverlay.querySelectorAll('.layout-box.active').forEach(other => other.classList.remove('active'));
+            box.classList.add('active');
+            highlightLine(targetId, page, index);
+        });
+        layoutOverlay.appendChild(box);
+    });
+}
+
+async function renderSourcePage(page, renderId) {
+    const type = fileType(sourceFile);
+    layoutCanvas.hidden = true;
+    layoutImage.hidden = true;
+
+    if (type && type.preview) {
+        if (!sourceImageUrl) sourceImageUrl = URL.createObjectURL(sourceFile);
+        layoutImage.src = sourceImageUrl;
+        await layoutImage.decode();
+        layoutImage.hidden = false;
+        return;
+    }
+    if (!type || type.mimeType !== 'application/pdf') {
+        showLayoutMessage('TIFF pages can\'t be displayed by the browser; boxes are drawn on a blank page.');
+        showBlankPage();
+        return;
+    }
+
+    const pdfjsLib = await loadPdfJs();
+    if (!sourcePdf) {
+        const data = new Uint8Array(await sourceFile.arrayBuffer());
+        sourcePdf = pdfjsLib.getDocument({ data }).promise;
+    }
+    const pdf = await sourcePdf;
+    if (page > pdf.numPages) {
+        throw new Error(`the file has ${pdf.numPages} pages`);
+    }
+
+    const pdfPage = await pdf.getPage(page);
+    if (renderId !== layoutRenderId) return;
+
+    // pdf.js refuses two renders into one canvas at a time
+    if (layoutRenderTask) layoutRenderTask.cancel();
+
+    const width = Math.min(layoutView.clientWidth - 48, 1000);
+    const ratio = window.devicePixelRatio || 1;
+    const viewport = pdfPage.getViewport({ scale: (width / pdfPage.getViewport({ scale: 1 }).width) * ratio });
+    layoutCanvas.width = viewport.width;
+    layoutCanvas.height = viewport.height;
+    layoutCanvas.style.width = `${viewport.width / ratio}px`;
+    layoutCanvas.style.height = `${viewport.height / ratio}px`;
+    layoutCanvas.hidden = false;
+
+    const task = pdfPage.render({ canvasContext: layoutCanvas.getContext('2d'), viewport });
+    layoutRenderTask = task;
+    try {
+        await task.promise;
+    } finally {
+        if (layoutRenderTask === task) layoutRenderTask = null;
+    }
+}
+
+// US Letter proportions, for when the page itself can't be shown
+function showBlankPage() {
+    const width = Math.min(layoutView.clientWidth - 48, 800);
+    layoutCanvas.width = width;
+    layoutCanvas.height = Math.round(width * 11 / 8.5);
+    layoutCanvas.style.width = `${layoutCanvas.width}px`;
+    layoutCanvas.style.height = `${layoutCanvas.height}px`;
+    layoutCanvas.hidden = false;
+    layoutImage.hidden = true;
+}
+
+function showLayoutMessage(message) {
+    layoutMessage.textContent = message;
+    layoutMessage.hidden = false;
+}
+
+function loadPdfJs() {
+    if (!pdfjsReady) {
+        pdfjsReady = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_URL;
+            script.onload = () => {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => {
+                pdfjsReady = null;
+                reject(new Error('pdf.js could not be loaded'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return pdfjsReady;
+}
+
+/**
+ * Highlight the text of a line in its result pane and scroll it into view
+ */
+function highlightLine(targetId, page, index) {
+    const pane = panes.get(targetId);
+    if (!pane) return;
+
+    // Line spans only exist in the raw view
+    if (textViewSelect.value !== 'raw') {
+        textViewSelect.value = 'raw';
+        handleTextViewChange();
+    }
+    pane.text.querySelectorAll('.line-highlight').forEach(span => span.classList.remove('line-highlight'));
+    const span = pane.text.querySelector(`.text-line[data-page="${page}"][data-line="${index}"]`);
+    if (span) {
+        span.classList.add('line-highlight');
+        span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+function jumpToNextDisagreement() {
+    if (diffDisagreements.length === 0) return;
+
+    if (diffIndex >= 0) {
+        diffDisagreements[diffIndex].classList.remove('diff-current');
+    }
+    diffIndex = (diffIndex + 1) % diffDisagreements.length;
+
+    const row = diffDisagreements[diffIndex];
+    row.classList.add('diff-current');
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    diffCounter.textContent = `${diffIndex + 1} / ${diffDisagreements.length.toLocaleString()} disagreements`;
+}
+
+function appendWord(cell, word, className) {
+    if (cell.childNodes.length > 0) {
+        cell.appendChild(document.createTextNode(' '));
+    }
+    if (className) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = word;
+        cell.appendChild(span);
+    } else {
+        cell.appendChild(document.createTextNode(word));
+    }
+}
+
+function splitWords(line) {
+    return line.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Align two texts line by line. Blank lines are ignored and whitespace is
+ * collapsed before comparing. Runs of deleted/inserted lines between two
+ * matching lines are paired up as substitutions ("changed" rows).
+ * @returns {Array<{type: string, left: ?string, right: ?string}>}
+ */
+function alignLines(leftText, rightText) {
+    const toLines = text => (text || '').split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    const leftLines = toLines(leftText);
+    const rightLines = toLines(rightText);
+
+    const rows = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+        const pairs = Math.max(deleted.length, inserted.length);
+        for (let i = 0; i < pairs; i++) {
+            const left = i < deleted.length ? deleted[i] : null;
+            const right = i < inserted.length ? inserted[i] : null;
+            const type = left !== null && right !== null ? 'changed' : (left !== null ? 'delete' : 'insert');
+            rows.push({ type, left, right });
+        }
+        deleted = [];
+        inserted = [];
+    };
+
+    diffSequences(leftLines, rightLines).forEach(op => {
+        if (op.type === 'equal') {
+            flush();
+            rows.push({ type: 'equal', left: leftLines[op.a], right: rightLines[op.b] });
+        } else if (op.type === 'delete') {
+            deleted.push(leftLines[op.a]);
+        } else {
+            inserted.push(rightLines[op.b]);
+        }
+    });
+    flush();
+
+    return rows;
+}
+
+/**
+ * Myers O(ND) diff of two sequences compared with ===.
+ * @returns {Array<{type: 'equal'|'delete'|'insert', a?: number, b?: number}>}
+ */
+function diffSequences(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    search:
+    for (let d = 0; d <= max; d++) {
+        // Snapshot of k in [-d-1, d+1] before this step, used when backtracking
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                break search;
+            }
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const at = k => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', a: x, b: y });
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', b: prevY });
+            } else {
+                ops.push({ type: 'delete', a: prevX });
+            }
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
 }
 
 async function copyToClipboard(text, button) {
@@ -0,0 +1,178 @@
+// Horizontal resolution of the coverage histogram used to find gutters
+const BINS = 400;
+// Narrowest gap between columns, as a fraction of the page width
+const MIN_GUTTER_WIDTH = 0.015;
+// Up to this share of the lines may cross a gutter (headings, footers)
+const SPANNING_SHARE = 0.25;
+// A gap is no gutter when more than this share of the lines on its narrower
+// side sit on the same row as a line on the other side (labels and values)
+const ALIGNED_SHARE = 0.5;
+// A vertical gap wider than this many median line heights starts a paragraph
+const PARAGRAPH_GAP = 0.75;
+
+/**
+ * Reading order for OCR lines with bounding boxes (see the lines on pages in
+ * provider-registry.js). Textract returns LINE blocks top to bottom across the
+ * whole page, so the lines of a multi-column page come out interleaved.
+ *
+ * Columns are found from the horizontal coverage of the line boxes: a gutter
+ * is a vertical strip that (almost) no line crosses, with text on both sides.
+ * Real columns have their own baselines, so a strip whose two sides are
+ * mostly on the same rows, as in invoices and forms, is a table of labels
+ * and values read row by row instead.
+ * Lines that do cross a gutter, such as headings and footers, split the page
+ * into sections. Within a section each column is read top to bottom, left
+ * column first, and lines on the same row left to right.
+ */
+class ReadingOrderHelper {
+    /**
+     * @param {Object[]} lines - One page's lines in API order
+     * @returns {Object[]} Copies of the lines in reading order, with paragraphStart: true on the
+     *          first line of every paragraph but the first. Lines are returned unchanged when
+     *          any of them lacks a bounding box.
+     */
+    order(lines) {
+        if (lines.length < 2 || lines.some(line => !line.boundingBox)) {
+            return lines.slice();
+        }
+
+        const gutters = this.gutters(lines);
+        const ordered = [];
+        let section = [];
+        const flush = () => {
+            const columns = Array.from({ length: gutters.length + 1 }, () => []);
+            section.forEach(line => columns[this.columnOf(line, gutters)].push(line));
+            columns.forEach(column => {
+                this.rows(column).forEach(line => ordered.push({ line }));
+            });
+            section = [];
+        };
+
+        lines
+            .slice()
+            .sort((a, b) => a.boundingBox.top - b.boundingBox.top)
+            .forEach(line => {
+                if (gutters.some(gutter => crosses(line, gutter))) {
+                    flush();
+                    ordered.push({ line, spanning: true });
+                } else {
+                    section.push(line);
+                }
+            });
+        flush();
+
+        return this.markParagraphs(ordered);
+    }
+
+    /**
+     * @param {Object[]} lines - Ordered lines from order()
+     * @returns {string} Lines joined with newlines and a blank line between paragraphs
+     */
+    toText(lines) {
+        return lines
+            .map((line, index) => (index > 0 && line.paragraphStart ? '\n' : '') + line.text)
+            .join('\n');
+    }
+
+    /**
+     * Vertical strips between columns
+     * @returns {Array<{left: number, right: number}>} Gutters from left to right, as fractions of the page width
+     */
+    gutters(lines) {
+        const coverage = new Array(BINS).fill(0);
+        lines.forEach(({ boundingBox: box }) => {
+            const first = Math.max(0, Math.floor(box.left * BINS));
+            const last = Math.min(BINS - 1, Math.ceil((box.left + box.width) * BINS) - 1);
+            for (let bin = first; bin <= last; bin++) coverage[bin]++;
+        });
+
+        const sparse = Math.max(1, Math.floor(lines.length * SPANNING_SHARE));
+        const gutters = [];
+        let start = null;
+        let seenText = false;
+        coverage.forEach((count, bin) => {
+            if (count <= sparse) {
+                if (seenText && start === null) start = bin;
+                return;
+            }
+            // Only gaps with text on both sides are gutters, not the margins
+            if (start !== null && (bin - start) / BINS >= MIN_GUTTER_WIDTH) {
+                gutters.push({ left: start / BINS, right: bin / BINS });
+            }
+            start = null;
+            seenText = true;
+        });
+        return gutters.filter(gutter => !this.rowAligned(lines, gutter));
+    }
+
+    /**
+     * @returns {boolean} Whether most lines on the narrower side of the gutter share a row with a
+     *          line on the other side
+     */
+    rowAligned(lines, gutter) {
+        const left = lines.filter(line => line.boundingBox.left + line.boundingBox.width <= gutter.left);
+        const right = lines.filter(line => line.boundingBox.left >= gutter.right);
+        const [fewer, more] = left.length <= right.length ? [left, right] : [right, left];
+        if (fewer.length === 0) return false;
+
+        const aligned = fewer.filter(line => more.some(other => sameRow(line, other))).length;
+        return aligned / fewer.length > ALIGNED_SHARE;
+    }
+
+    columnOf(line, gutters) {
+        const center = line.boundingBox.left + line.boundingBox.width / 2;
+        return gutters.filter(gutter => (gutter.left + gutter.right) / 2 < center).length;
+    }
+
+    /**
+     * Group a column's lines into rows by vertical overlap, reading each row left to right
+     */
+    rows(column) {
+        const rows = [];
+        column
+            .slice()
+            .sort((a, b) => a.boundingBox.top - b.boundingBox.top)
+            .forEach(line => {
+                const row = rows[rows.length - 1];
+                const center = line.boundingBox.top + line.boundingBox.height / 2;
+                if (row && center < row[0].boundingBox.top + row[0].boundingBox.height) {
+                    row.push(line);
+                } else {
+                    rows.push([line]);
+                }
+            });
+        return rows.flatMap(row => row.sort((a, b) => a.boundingBox.left - b.boundingBox.left));
+    }
+
+    /**
+     * Flag paragraph starts: around headings and footers, and where the gap to
+     * the previous line in the same column is wider than usual
+     */
+    markParagraphs(ordered) {
+        const heights = ordered.map(({ line }) => line.boundingBox.height).sort((a, b) => a - b);
+        const lineHeight = heights[Math.floor(heights.length / 2)];
+
+        return ordered.map(({ line, spanning }, index) => {
+            if (index === 0) return { ...line };
+
+            const previous = ordered[index - 1];
+            const gap = line.boundingBox.top - (previous.line.boundingBox.top + previous.line.boundingBox.height);
+            // Moving up to the next column gives a negative gap, which continues the paragraph
+            const paragraphStart = spanning || previous.spanning || gap > PARAGRAPH_GAP * lineHeight;
+            return paragraphStart ? { ...line, paragraphStart: true } : { ...line };
+        });
+    }
+}
+
+function sameRow(a, b) {
+    const centerA = a.boundingBox.top + a.boundingBox.height / 2;
+    const centerB = b.boundingBox.top + b.boundingBox.height / 2;
+    return Math.abs(centerA - centerB) < Math.min(a.boundingBox.height, b.boundingBox.height) / 2;
+}
+
+function crosses(line, gutter) {
+    return line.boundingBox.left < gutter.left && line.boundingBox.left + line.boundingBox.width > gutter.right;
+}
+
+module.exports = new ReadingOrderHelper();
+module.exports.ReadingOrderHelper = ReadingOrderHelper;
@@ -0,0 +1,308 @@
+const path = require('path');
+const accuracyHelper = require('./accuracy-helper');
+const providerRegistry = require('./provider-registry');
+
+/**
+ * Comparison reports for a saved run (see run-store.js), exported as JSON
+ * for tooling, Markdown for tickets or a self-contained HTML page.
+ *
+ * The report looks like:
+ *   {
+ *     generatedAt,
+ *     run: { id, createdAt, completedAt, mode },
+ *     document: { name, size, mimeType, sha256 },
+ *     providers: [{ target, service, name, label, success, model, settings, time, chars,
+ *                   pages, warnings, confidence, usage, cost, cache, accuracy, structured, text, code, error }],
+ *     comparisons: [{ left, right, cer, wer, f1 }],   // every pair of successful targets
+ *     totals: { time, cost, currency }
+ *   }
+ *
+ * Comparisons score the right-hand text against the left-hand one, the same
+ * way accuracy scores a provider against a reference transcript.
+ */
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+class ReportHelper {
+    constructor() {
+        this.FORMATS = FORMATS;
+    }
+
+    /**
+     * @param {Object} run - Run record
+     * @returns {Object} Report (see above)
+     */
+    build(run) {
+        const providers = Object.entries(run.providers)
+            .filter(([, result]) => result)
+            .map(([target, result]) => this.providerEntry(target, result));
+
+        const succeeded = providers.filter(entry => entry.success);
+        const comparisons = [];
+        succeeded.forEach((left, index) => {
+            succeeded.slice(index + 1).forEach(right => {
+                const score = accuracyHelper.score(right.text, left.text);
+                comparisons.push({ left: left.target, right: right.target, cer: score.cer, wer: score.wer, f1: score.f1 });
+            });
+        });
+
+        const costs = providers.filter(entry => entry.cost);
+        return {
+            generatedAt: new Date().toISOString(),
+            run: { id: run.id, createdAt: run.createdAt, completedAt: run.completedAt, mode: run.mode },
+            document: run.file,
+            providers: providers,
+            comparisons: comparisons,
+            totals: {
+                time: providers.reduce((longest, entry) => Math.max(longest, entry.time || 0), 0),
+                cost: costs.length
+                    ? Math.round(costs.reduce((sum, entry) => sum + entry.cost.amount, 0) * 1e6) / 1e6
+                    : null,
+                currency: costs.length ? costs[0].cost.currency : null
+            }
+        };
+    }
+
+    providerEntry(target, result) {
+        const provider = providerRegistry.get(result.service || target);
+        return {
+            target: target,
+            service: result.service || target,
+            name: provider ? provider.name : (result.service || target),
+            label: result.label || null,
+            success: Boolean(result.success),
+            model: result.model || null,
+            settings: result.settings || null,
+            time: result.time,
+            chars: (result.text || '').length,
+            pages: (result.pages || []).map(page => ({ page: page.page, chars: (page.text || '').length, time: page.time || null })),
+            warnings: result.warnings || [],
+            confidence: result.confidence || null,
+            usage: result.usage || null,
+            cost: result.cost || null,
+            cache: result.cache || null,
+            accuracy: result.accuracy || null,
+            structured: result.structured || null,
+            text: result.text || '',
+            code: result.code || null,
+            error: result.error || null
+        };
+    }
+
+    /**
+     * Render a run in one of FORMATS
+     * @param {Object} run - Run record
+     * @param {string} format - 'json', 'markdown' or 'html'
+     * @returns {{body: string, contentType: string, fileName: string}}
+     */
+    render(run, format) {
+        const spec = FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unknown export format: ${format}. Use one of ${Object.keys(FORMATS).join(', ')}`);
+        }
+
+        const report = this.build(run);
+        const body = format === 'json'
+            ? JSON.stringify(report, null, 2)
+            : format === 'markdown' ? this.toMarkdown(report) : this.toHTML(report);
+        const baseName = path.parse(run.file.name).name.replace(/[^\w.-]+/g, '_') || 'document';
+
+        return { body, contentType: spec.contentType, fileName: `${baseName}-comparison.${spec.extension}` };
+    }
+
+    toMarkdown(report) {
+        const cell = value => String(value === null || value === undefined ? '-' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const row = values => `| ${values.map(cell).join(' | ')} |`;
+        const names = this.targetNames(report);
+        const lines = [
+            `# Extraction comparison: ${report.document.name}`,
+            '',
+            `- **Run:** ${report.run.id}`,
+            `- **Created:** ${report.run.createdAt}`,
+            `- **Mode:** ${report.run.mode}`,
+            `- **File:** ${report.document.mimeType}, ${formatBytes(report.document.size)}, SHA-256 \`${report.document.sha256}\``,
+            `- **Total cost:** ${report.totals.cost === null ? '-' : formatCost(report.totals.cost, report.totals.currency)}`,
+            '',
+            '## Summary',
+            '',
+            row(['Provider', 'Model', 'Status', 'Time', 'Characters', 'Pages', 'Cost', 'CER', 'WER']),
+            row(['---', '---', '---', '---:', '---:', '---:', '---:', '---:', '---:'])
+        ];
+
+        report.providers.forEach(entry => {
+            lines.push(row([
+                names.get(entry.target),
+                entry.model,
+                entry.success ? (entry.cache && entry.cache.status === 'hit' ? 'ok (cached)' : 'ok') : 'failed',
+                formatTime(entry.time),
+                entry.chars.toLocaleString('en-US'),
+                entry.pages.length,
+                entry.cost ? formatCost(entry.cost.amount, entry.cost.currency) : null,
+                entry.accuracy ? formatPercent(entry.accuracy.cer) : null,
+                entry.accuracy ? formatPercent(entry.accuracy.wer) : null
+            ]));
+        });
+
+        if (report.comparisons.length) {
+            lines.push('', '## Agreement between providers', '', row(['Pair', 'CER', 'WER', 'Word F1']), row(['---', '---:', '---:', '---:']));
+            report.comparisons.forEach(pair => {
+                lines.push(row([
+                    `${names.get(pair.left)} vs ${names.get(pair.right)}`,
+                    formatPercent(pair.cer),
+                    formatPercent(pair.wer),
+                    formatPercent(pair.f1)
+                ]));
+            });
+        }
+
+        report.providers.forEach(entry => {
+            lines.push('', `## ${names.get(entry.target)}`, '');
+            if (entry.error) lines.push(`**Error:** ${entry.error}`, '');
+            entry.warnings.forEach(warning => lines.push(`> ⚠️ ${warning}`));
+            if (entry.warnings.length) lines.push('');
+            if (entry.settings) {
+                lines.push('<details><summary>Settings</summary>', '', fence(JSON.stringify(entry.settings, null, 2), 'json'), '', '</details>', '');
+            }
+            if (entry.success) lines.push(fence(entry.text));
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    toHTML(report) {
+        const names = this.targetNames(report);
+        const summaryRows = report.providers.map(entry => `
+            <tr>
+                <td>${escapeHTML(names.get(entry.target))}</td>
+                <td>${escapeHTML(entry.model || '-')}</td>
+                <td class="${entry.success ? 'ok' : 'failed'}">${entry.success ? (entry.cache && entry.cache.status === 'hit' ? 'ok (cached)' : 'ok') : 'failed'}</td>
+                <td class="num">${escapeHTML(formatTime(entry.time))}</td>
+                <td class="num">${entry.chars.toLocaleString('en-US')}</td>
+                <td class="num">${entry.pages.length}</td>
+                <td class="num">${entry.cost ? escapeHTML(formatCost(entry.cost.amount, entry.cost.currency)) : '-'}</td>
+                <td class="num">${entry.accuracy ? formatPercent(entry.accuracy.cer) : '-'}</td>
+                <td class="num">${entry.accuracy ? formatPercent(entry.accuracy.wer) : '-'}</td>
+            </tr>`).join('');
+
+        const comparisonRows = report.comparisons.map(pair => `
+            <tr>
+                <td>${escapeHTML(`${names.get(pair.left)} vs ${names.get(pair.right)}`)}</td>
+                <td class="num">${formatPercent(pair.cer)}</td>
+                <td class="num">${formatPercent(pair.wer)}</td>
+                <td class="num">${formatPercent(pair.f1)}</td>
+            </tr>`).join('');
+
+        const sections = report.providers.map(entry => `
+        <section>
+            <h2>${escapeHTML(names.get(entry.target))}</h2>
+            ${entry.error ? `<p class="failed"><strong>Error:</strong> ${escapeHTML(entry.error)}</p>` : ''}
+            ${entry.warnings.map(warning => `<p class="warning">⚠️ ${escapeHTML(warning)}</p>`).join('')}
+            ${entry.settings ? `<details><summary>Settings</summary><pre>${escapeHTML(JSON.stringify(entry.settings, null, 2))}</pre></details>` : ''}
+            ${entry.success ? `<pre class="text">${escapeHTML(entry.text)}</pre>` : ''}
+        </section>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(`Extraction comparison: ${report.document.name}`)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1a202c; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+        h1 { font-size: 1.5rem; }
+        h2 { font-size: 1.2rem; border-bottom: 2px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+        dt { font-weight: 600; color: #4a5568; }
+        table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+        th, td { border: 1px solid #e2e8f0; padding: 0.4rem 0.6rem; text-align: left; }
+        th { background: #f7fafc; }
+        .num { text-align: right; font-variant-numeric: tabular-nums; }
+        .ok { color: #2f855a; }
+        .failed { color: #c53030; }
+        .warning { color: #975a16; }
+        pre { background: #f7fafc; border: 1px solid #e2e8f0; padding: 1rem; white-space: pre-wrap; word-break: break-word; }
+        @media print { details { display: block; } pre.text { page-break-inside: auto; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHTML(`Extraction comparison: ${report.document.name}`)}</h1>
+    <dl>
+        <dt>Run</dt><dd>${escapeHTML(report.run.id)}</dd>
+        <dt>Created</dt><dd>${escapeHTML(report.run.createdAt)}</dd>
+        <dt>Mode</dt><dd>${escapeHTML(report.run.mode)}</dd>
+        <dt>File</dt><dd>${escapeHTML(`${report.document.mimeType}, ${formatBytes(report.document.size)}`)}</dd>
+        <dt>SHA-256</dt><dd><code>${escapeHTML(report.document.sha256 || '-')}</code></dd>
+        <dt>Total cost</dt><dd>${report.totals.cost === null ? '-' : escapeHTML(formatCost(report.totals.cost, report.totals.currency))}</dd>
+        <dt>Generated</dt><dd>${escapeHTML(report.generatedAt)}</dd>
+    </dl>
+
+    <h2>Summary</h2>
+    <table>
+        <thead><tr><th>Provider</th><th>Model</th><th>Status</th><th>Time</th><th>Characters</th><th>Pages</th><th>Cost</th><th>CER</th><th>WER</th></tr></thead>
+        <tbody>${summaryRows}
+        </tbody>
+    </table>
+    ${report.comparisons.length ? `
+    <h2>Agreement between providers</h2>
+    <table>
+        <thead><tr><th>Pair</th><th>CER</th><th>WER</th><th>Word F1</th></tr></thead>
+        <tbody>${comparisonRows}
+        </tbody>
+    </table>` : ''}
+    ${sections}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Display name per target, e.g. "Google Gemini 3 Pro · flash"
+     */
+    targetNames(report) {
+        return new Map(report.providers.map(entry => [
+            entry.target,
+            entry.label ? `${entry.name} · ${entry.label}` : entry.name
+        ]));
+    }
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Fence longer than any backtick run in the text, so extracted text can't close it early
+function fence(text, language = '') {
+    const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    const marker = '`'.repeat(Math.max(3, longest + 1));
+    return `${marker}${language}\n${text}\n${marker}`;
+}
+
+function formatTime(ms) {
+    if (ms === null || ms === undefined) return '-';
+    if (ms < 1000) return `${ms}ms`;
+    return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function formatCost(amount, currency) {
+    return `${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)} ${currency}`;
+}
+
+module.exports = new ReportHelper();
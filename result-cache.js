@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+const TTL_MS = parseFloat(process.env.RESULT_CACHE_TTL_MINUTES || '1440') * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES || '100', 10);
+
+/**
+ * In-memory LRU cache of successful extraction results, keyed on the
+ * SHA-256 of the uploaded file plus everything that changes the output
+ * (provider, mode and the resolved settings such as model, prompt and
+ * generation config). Set RESULT_CACHE_TTL_MINUTES=0 to disable.
+ */
+class ResultCache {
+    constructor({ ttlMs = TTL_MS, maxEntries = MAX_ENTRIES } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get enabled() {
+        return this.ttlMs > 0 && this.maxEntries > 0;
+    }
+
+    /**
+     * @param {Object} parts - { fileHash, provider, mode, settings }
+     * @returns {string} Cache key
+     */
+    key(parts) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([parts.fileHash, parts.provider, parts.mode, parts.settings]))
+            .digest('hex');
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @returns {Object|null} { value, cachedAt } or null on a miss
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.cachedAt > this.ttlMs) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, value) {
+        if (!this.enabled) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, cachedAt: Date.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = new ResultCache();
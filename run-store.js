@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+const RUNS_DIR = path.resolve(process.env.RUNS_DIR || path.join(__dirname, 'data', 'runs'));
+const RUN_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Comparison runs persisted as one JSON file per run under RUNS_DIR.
+ *
+ * A run looks like:
+ *   {
+ *     id, createdAt, completedAt, mode,
+ *     file: { name, size, mimeType, sha256 },
+ *     providers: { [targetId]: result }   // same shape as /api/extract/:provider
+ *   }
+ *
+ * Target ids are provider ids unless a job ran one provider with several
+ * settings (see job-manager.js).
+ */
+class RunStore {
+    constructor(directory = RUNS_DIR) {
+        this.directory = directory;
+    }
+
+    filePath(id) {
+        if (!RUN_ID_PATTERN.test(id)) {
+            return null;
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * Persist a run
+     * @param {Object} run - Run record
+     */
+    async save(run) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const target = this.filePath(run.id);
+        const tempPath = `${target}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(run, null, 2));
+        await fs.promises.rename(tempPath, target);
+    }
+
+    /**
+     * @param {string} id - Run id
+     * @returns {Promise<Object|null>} Full run, or null if it doesn't exist
+     */
+    async get(id) {
+        const target = this.filePath(id);
+        if (!target) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(target, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} id - Run id
+     * @returns {Promise<boolean>} True if a run was deleted
+     */
+    async delete(id) {
+        const target = this.filePath(id);
+        if (!target) return false;
+
+        try {
+            await fs.promises.unlink(target);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * List run summaries, newest first
+     * @param {Object} options - { query } matched against file name, hash and extracted text
+     * @returns {Promise<Object[]>} Run summaries without provider text
+     */
+    async list({ query = '' } = {}) {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const needle = query.trim().toLowerCase();
+        const runs = await Promise.all(names
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.get(name.slice(0, -5)).catch(() => null)));
+
+        return runs
+            .filter(Boolean)
+            .filter(run => !needle || this.matches(run, needle))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(run => this.summarize(run));
+    }
+
+    matches(run, needle) {
+        if (run.file.name.toLowerCase().includes(needle)) return true;
+        if (run.file.sha256 && run.file.sha256.startsWith(needle)) return true;
+        return Object.values(run.providers).some(result =>
+            (result.text || '').toLowerCase().includes(needle)
+        );
+    }
+
+    summarize(run) {
+        const providers = {};
+        Object.entries(run.providers).forEach(([id, result]) => {
+            providers[id] = {
+                success: result.success,
+                time: result.time,
+                chars: (result.text || '').length,
+                service: result.service || id,
+                label: result.label || null,
+                model: result.model || null,
+                cost: result.cost ? { amount: result.cost.amount, currency: result.cost.currency } : null,
+                code: result.code || null,
+                error: result.error
+            };
+        });
+
+        return {
+            id: run.id,
+            createdAt: run.createdAt,
+            completedAt: run.completedAt,
+            mode: run.mode,
+            file: run.file,
+            providers: providers
+        };
+    }
+}
+
+module.exports = new RunStore();
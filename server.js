@@ -3,117 +3,462 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
-const geminiHelper = require('./gemini-helper');
-const textractHelper = require('./textract-helper');
+const providerRegistry = require('./provider-registry');
+const extractionService = require('./extraction-service');
+const jobManager = require('./job-manager');
+const runStore = require('./run-store');
+const fileTypeHelper = require('./file-type-helper');
+const pricingHelper = require('./pricing-helper');
+const usageLedger = require('./usage-ledger');
+const reportHelper = require('./report-helper');
+const accessControl = require('./access-control');
+const errorHelper = require('./error-helper');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1) so per-IP limits see the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors(accessControl.corsOptions()));
 app.use(express.json());
 app.use(express.static('public'));
+// pdf.js for the layout view, served from the pinned pdfjs-dist package rather than a CDN
+app.use('/vendor/pdfjs', express.static(path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'build')));
+
+// Every API route except the health check needs a key when API_KEYS_FILE is set
+const authenticate = accessControl.authenticate();
+app.use('/api', (req, res, next) => (req.path === '/health' ? next() : authenticate(req, res, next)));
+// Extractions spend provider budget, so they are rate limited per key and IP
+const limitExtractions = accessControl.limit();
 
 // Configure multer for file uploads (store in memory)
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: {
-        fileSize: 20 * 1024 * 1024 // 20MB limit
+        // Largest per-provider limit; smaller provider limits are checked per request
+        fileSize: providerRegistry.maxUploadBytes()
     },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') {
+        if (file.fieldname === 'reference') {
+            // Optional ground-truth transcript for accuracy scoring
+            if (file.mimetype === 'text/plain' || file.originalname.toLowerCase().endsWith('.txt')) {
+                cb(null, true);
+            } else {
+                cb(badRequest('Reference transcript must be a .txt file', 'invalid_upload'));
+            }
+        } else if (fileTypeHelper.isAccepted(file.mimetype, file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Only PDF files are allowed'));
+            cb(badRequest(`Only ${fileTypeHelper.describe()} files are allowed`, 'invalid_upload'));
         }
     }
 });
 
-// Upload and process with Gemini endpoint
-app.post('/api/extract/gemini', upload.single('pdf'), async (req, res) => {
+const uploadFields = upload.fields([
+    { name: 'pdf', maxCount: 1 },
+    { name: 'reference', maxCount: 1 }
+]);
+
+/**
+ * The uploaded document (field `pdf`, which also takes images), typed by its
+ * content rather than the MIME type the client reported
+ * @param {Object} req - Request after the multer middleware
+ * @returns {Object} { buffer, mimeType, originalName }
+ */
+function uploadedFile(req) {
+    const upload = req.files && req.files.pdf && req.files.pdf[0];
+    if (!upload) {
+        throw badRequest('No file uploaded', 'invalid_upload');
+    }
+
+    const type = fileTypeHelper.detect(upload.buffer);
+    if (!type) {
+        throw badRequest(`Unsupported file content. Upload a ${fileTypeHelper.describe()} file`, 'invalid_upload');
+    }
+
+    return {
+        buffer: upload.buffer,
+        mimeType: type.mimeType,
+        originalName: upload.originalname
+    };
+}
+
+/**
+ * Provider settings from a request body, given either as a JSON `settings`
+ * field or as individual model / promptPreset / prompt / readingOrder /
+ * generationConfig fields (generationConfig as JSON). Multipart fields arrive as strings.
+ * @param {Object} body - Request body
+ * @returns {Object|undefined} Settings, or undefined when none were sent
+ */
+function parseSettings(body) {
+    const parseJSON = (value, field) => {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw badRequest(`${field} must be valid JSON`);
+        }
+    };
+
+    if (body.settings) {
+        return parseJSON(body.settings, 'settings');
+    }
+
+    const settings = {};
+    ['model', 'promptPreset', 'prompt', 'readingOrder'].forEach(field => {
+        if (body[field]) settings[field] = body[field];
+    });
+    if (body.generationConfig) {
+        settings.generationConfig = parseJSON(body.generationConfig, 'generationConfig');
+    }
+    return Object.keys(settings).length > 0 ? settings : undefined;
+}
+
+/**
+ * Targets for a job: a JSON `targets` field of [{ provider, label, settings }]
+ * to run the same provider with several settings, or else a comma separated
+ * `providers` field (default: all) sharing the settings from parseSettings.
+ * Settings are validated up front so mistakes are reported as 400s.
+ * @param {Object} body - Request body
+ * @returns {Object[]} Targets: { id, provider, label, settings }
+ */
+function parseTargets(body) {
+    let requested;
+    if (body.targets) {
+        let targets;
+        try {
+            targets = typeof body.targets === 'string' ? JSON.parse(body.targets) : body.targets;
+        } catch (error) {
+            throw badRequest('targets must be valid JSON');
+        }
+        if (!Array.isArray(targets) || targets.length === 0) {
+            throw badRequest('targets must be a non-empty array');
+        }
+        requested = targets.map(target => ({
+            providerId: target && target.provider,
+            label: target && target.label ? String(target.label).trim() : null,
+            settings: target ? target.settings : undefined
+        }));
+    } else {
+        const settings = parseSettings(body);
+        let ids;
+        if (body.providers) {
+            ids = String(body.providers).split(',').map(id => id.trim()).filter(Boolean);
+        } else {
+            // Every provider that can run; explicitly requested unavailable ones fail in their result
+            const available = providerRegistry.list().filter(provider => providerRegistry.availability(provider).available);
+            if (available.length === 0) {
+                throw errorHelper.create('provider_credentials', 'No provider is available. Check the server configuration (see /api/health)');
+            }
+            ids = available.map(provider => provider.id);
+        }
+        requested = ids.map(providerId => ({ providerId, label: null, settings }));
+    }
+
+    const unknown = requested.filter(target => !providerRegistry.get(target.providerId));
+    if (unknown.length > 0) {
+        throw errorHelper.create('not_found', `Unknown provider: ${unknown.map(target => target.providerId).join(', ')}`);
+    }
+
+    const counts = {};
+    requested.forEach(target => {
+        counts[target.providerId] = (counts[target.providerId] || 0) + 1;
+    });
+
+    const ids = new Set();
+    return requested.map((target, index) => {
+        const provider = providerRegistry.get(target.providerId);
+        try {
+            providerRegistry.resolveSettings(provider, { mode: body.mode, settings: target.settings });
+        } catch (error) {
+            throw badRequest(`${provider.name}${target.label ? ` (${target.label})` : ''}: ${error.message}`);
+        }
+
+        let id = provider.id;
+        if (counts[provider.id] > 1 || target.label) {
+            id = `${provider.id}:${target.label || index + 1}`;
+        }
+        if (ids.has(id)) {
+            throw badRequest(`Duplicate target: ${id}`);
+        }
+        ids.add(id);
+
+        return { id, provider, label: target.label, settings: target.settings };
+    });
+}
+
+/**
+ * @param {string} message - What was wrong with the request
+ * @param {string} code - 'invalid_request', or 'invalid_upload' for problems with the uploaded files
+ */
+function badRequest(message, code = 'invalid_request') {
+    return errorHelper.create(code, message);
+}
+
+// List registered extraction providers
+app.get('/api/providers', (req, res) => {
+    res.json({
+        providers: providerRegistry.list().map(provider => providerRegistry.describe(provider))
+    });
+});
+
+// Upload and process with a single provider
+app.post('/api/extract/:provider', limitExtractions, uploadFields, async (req, res) => {
+    const service = req.params.provider;
+
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No PDF file uploaded' });
+        const provider = providerRegistry.get(service);
+        if (!provider) {
+            throw errorHelper.create('not_found', `Unknown provider: ${service}`);
+        }
+
+        const file = uploadedFile(req);
+        const sizeError = providerRegistry.uploadSizeError(provider, file.buffer.length);
+        if (sizeError) {
+            throw errorHelper.create('file_too_large', sizeError);
         }
 
-        const fileBuffer = req.file.buffer;
-        const startTime = Date.now();
+        const referenceFile = req.files.reference && req.files.reference[0];
+        const referenceText = referenceFile ? referenceFile.buffer.toString('utf8') : null;
 
+        const settings = parseSettings(req.body);
         try {
-            const text = await geminiHelper.extractTextFromPDF(fileBuffer, req.file.mimetype);
-            const time = Date.now() - startTime;
-
-            res.json({
-                success: true,
-                service: 'gemini',
-                text: text,
-                time: time,
-                error: null
-            });
+            providerRegistry.resolveSettings(provider, { mode: req.body.mode, settings });
         } catch (error) {
-            console.error('Gemini error:', error);
-            res.json({
-                success: false,
-                service: 'gemini',
-                text: '',
-                time: Date.now() - startTime,
-                error: error.message
-            });
+            throw badRequest(error.message);
         }
-    } catch (error) {
-        console.error('Server error:', error);
-        res.status(500).json({
-            success: false,
-            service: 'gemini',
-            error: error.message
+
+        const result = await extractionService.run(provider, file, {
+            mode: req.body.mode,
+            settings: settings,
+            referenceText: referenceText
         });
+
+        res.status(result.success ? 200 : errorHelper.status(result.code)).json(result);
+    } catch (error) {
+        errorHelper.respond(res, error, { service: service });
     }
 });
 
-// Upload and process with Textract endpoint
-app.post('/api/extract/textract', upload.single('pdf'), async (req, res) => {
+// Process a document the provider reads in place (an existing s3://bucket/key for Textract),
+// without uploading or deleting it
+app.post('/api/extract-by-reference/:provider', limitExtractions, async (req, res) => {
+    const service = req.params.provider;
+
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No PDF file uploaded' });
+        const provider = providerRegistry.get(service);
+        if (!provider) {
+            throw errorHelper.create('not_found', `Unknown provider: ${service}`);
+        }
+        if (typeof provider.resolveReference !== 'function') {
+            throw badRequest(`${provider.name} can't read documents by reference. Upload the file to /api/extract/${provider.id} instead`);
+        }
+        const { available, reason } = providerRegistry.availability(provider);
+        if (!available) {
+            throw errorHelper.create('provider_credentials', `${provider.name} is unavailable: ${reason}`);
         }
 
-        const fileBuffer = req.file.buffer;
-        const startTime = Date.now();
-
+        const settings = parseSettings(req.body);
         try {
-            const text = await textractHelper.extractTextFromPDF(fileBuffer, req.file.originalname);
-            const time = Date.now() - startTime;
-
-            res.json({
-                success: true,
-                service: 'textract',
-                text: text,
-                time: time,
-                error: null
-            });
+            providerRegistry.resolveSettings(provider, { mode: req.body.mode, settings });
         } catch (error) {
-            console.error('Textract error:', error);
-            res.json({
-                success: false,
-                service: 'textract',
-                text: '',
-                time: Date.now() - startTime,
-                error: error.message
-            });
+            throw badRequest(error.message);
         }
+
+        const file = await resolveReference(provider, req.body.url);
+        const result = await extractionService.run(provider, file, {
+            mode: req.body.mode,
+            settings: settings,
+            referenceText: typeof req.body.referenceText === 'string' ? req.body.referenceText : null
+        });
+
+        res.status(result.success ? 200 : errorHelper.status(result.code)).json(result);
     } catch (error) {
-        console.error('Server error:', error);
-        res.status(500).json({
-            success: false,
-            service: 'textract',
-            error: error.message
+        errorHelper.respond(res, error, { service: service });
+    }
+});
+
+/**
+ * Resolve a document reference, turning storage errors into HTTP errors
+ * @param {Object} provider - Provider implementing resolveReference()
+ * @param {string} url - Document URL from the request
+ * @returns {Promise<Object>} File for extractionService.run()
+ */
+async function resolveReference(provider, url) {
+    try {
+        return await provider.resolveReference(url);
+    } catch (error) {
+        if (error.code === 'InvalidReference') {
+            throw badRequest(error.message);
+        }
+        if (error.code === 'file_too_large') {
+            throw error;
+        }
+        if (error.code === 'NotFound' || error.code === 'NoSuchKey' || error.code === 'NoSuchBucket') {
+            throw errorHelper.create('not_found', `No document at ${url}`, error);
+        }
+        if (error.code === 'Forbidden' || error.code === 'AccessDenied') {
+            throw errorHelper.create('forbidden', `Access to ${url} was denied. The server's AWS credentials need s3:GetObject on it`, error);
+        }
+        throw errorHelper.create(errorHelper.classify(error, 'provider_error'), `Could not read ${url}: ${error.message || error.code}`, error);
+    }
+}
+
+// Start an extraction job across providers; returns immediately with the job id
+app.post('/api/jobs', limitExtractions, uploadFields, (req, res) => {
+    try {
+        const file = uploadedFile(req);
+        const targets = parseTargets(req.body);
+        const referenceFile = req.files.reference && req.files.reference[0];
+        const job = jobManager.create({
+            file: file,
+            targets: targets,
+            mode: req.body.mode,
+            referenceText: referenceFile ? referenceFile.buffer.toString('utf8') : null
+        });
+
+        res.status(202).json({
+            jobId: job.id,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
         });
+    } catch (error) {
+        errorHelper.respond(res, error);
+    }
+});
+
+// Job status and any finished provider results
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return errorHelper.respond(res, errorHelper.create('not_found', 'Job not found'));
+    }
+    res.json(jobManager.toJSON(job));
+});
+
+// Server-Sent Events stream of job progress
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return errorHelper.respond(res, errorHelper.create('not_found', 'Job not found'));
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Current state first, so late or reconnecting clients catch up
+    send('snapshot', jobManager.toJSON(job));
+    if (job.completedAt) {
+        send('done', { job: jobManager.toJSON(job) });
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const listener = event => {
+        send(event.type, event.data);
+        if (event.type === 'done') {
+            cleanup();
+            res.end();
+        }
+    };
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobManager.removeListener(`job:${job.id}`, listener);
+    };
+
+    jobManager.on(`job:${job.id}`, listener);
+    req.on('close', cleanup);
+});
+
+// Comparison history
+app.get('/api/runs', async (req, res) => {
+    try {
+        const runs = await runStore.list({ query: String(req.query.q || '') });
+        res.json({ runs });
+    } catch (error) {
+        errorHelper.respond(res, error);
+    }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+    try {
+        const run = await runStore.get(req.params.id);
+        if (!run) {
+            throw errorHelper.create('not_found', 'Run not found');
+        }
+        res.json(run);
+    } catch (error) {
+        errorHelper.respond(res, error);
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Comparison report for a run: ?format=json (default), markdown or html
+app.get('/api/runs/:id/export', async (req, res) => {
+    const format = String(req.query.format || 'json');
+    if (!reportHelper.FORMATS[format]) {
+        return errorHelper.respond(res, badRequest(`Unknown export format: ${format}. Use one of ${Object.keys(reportHelper.FORMATS).join(', ')}`));
+    }
+
+    try {
+        const run = await runStore.get(req.params.id);
+        if (!run) {
+            throw errorHelper.create('not_found', 'Run not found');
+        }
+
+        const report = reportHelper.render(run, format);
+        res.attachment(report.fileName);
+        res.set('Content-Type', report.contentType);
+        res.send(report.body);
+    } catch (error) {
+        errorHelper.respond(res, error);
+    }
+});
+
+app.delete('/api/runs/:id', async (req, res) => {
+    try {
+        const deleted = await runStore.delete(req.params.id);
+        if (!deleted) {
+            throw errorHelper.create('not_found', 'Run not found');
+        }
+        res.json({ success: true });
+    } catch (error) {
+        errorHelper.respond(res, error);
+    }
+});
+
+// Cumulative billable usage and estimated spend
+app.get('/api/usage', async (req, res) => {
+    try {
+        const usage = await usageLedger.summary();
+        res.json({ ...usage, pricing: pricingHelper.pricing });
+    } catch (error) {
+        errorHelper.respond(res, error);
+    }
+});
+
+// Health and readiness: 503 when no provider can run
+app.get('/api/health', async (req, res) => {
+    try {
+        const readiness = await providerRegistry.readiness();
+        res.status(readiness.status === 'unavailable' ? 503 : 200).json({
+            ...readiness,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        errorHelper.respond(res, error);
+    }
 });
 
 // Serve index.html for root route
@@ -121,21 +466,46 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Error handling middleware
+// Error handling middleware: upload errors from multer, malformed JSON bodies and anything unexpected
 app.use((error, req, res, next) => {
     if (error instanceof multer.MulterError) {
+        let message = `${error.message}${error.field ? ` (field "${error.field}")` : ''}`;
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'File size too large. Maximum 20MB allowed.' });
+            message = `File size too large. Maximum ${providerRegistry.formatMB(providerRegistry.maxUploadBytes())} allowed.`;
+        } else if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+            message += '. Upload one document as "pdf" and optionally one transcript as "reference"';
         }
+        return errorHelper.respond(res, errorHelper.create(errorHelper.classify(error), message, error));
+    }
+    // Client errors from express.json(), e.g. a malformed or oversized body
+    if (error.expose && error.status < 500) {
+        return errorHelper.respond(res, errorHelper.create(error.status === 413 ? 'file_too_large' : 'invalid_request', error.message, error));
     }
-    res.status(500).json({ error: error.message });
+    errorHelper.respond(res, error);
 });
 
+// Started directly (npm start); tests and Vercel import the app instead
+if (require.main === module) {
+    providerRegistry.validateConfig();
+    const server = app.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📄 Upload documents to compare ${providerRegistry.list().map(p => p.name).join(' vs ')}`);
+    });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📄 Upload PDFs to compare Gemini 2.0 Flash vs AWS Textract`);
-});
+    // Delete temporary uploads (e.g. Textract's S3 copies) of in-flight extractions before exiting
+    let shuttingDown = false;
+    const shutdown = async signal => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`${signal} received, cleaning up...`);
+        server.close();
+        const timeout = new Promise(resolve => setTimeout(resolve, 10000).unref());
+        await Promise.race([providerRegistry.shutdown(), timeout]);
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
 
 // Export for Vercel serverless
 module.exports = app;
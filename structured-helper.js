@@ -0,0 +1,67 @@
+/**
+ * Common schema for "tables & forms" extraction results:
+ *
+ *   {
+ *     tables:    [{ page: 1, rows: [['Header A', 'Header B'], ['a1', 'b1']] }],
+ *     keyValues: [{ page: 1, key: 'Invoice Number', value: 'INV-001' }]
+ *   }
+ *
+ * Every provider's structured output is passed through normalize() so the
+ * frontend (tables and CSV download) only deals with this one shape.
+ */
+class StructuredHelper {
+    constructor() {
+        this.MODES = ['text', 'tables-forms'];
+    }
+
+    /**
+     * @param {string} mode - Requested extraction mode
+     * @returns {string} A supported mode, defaulting to plain text
+     */
+    resolveMode(mode) {
+        return this.MODES.includes(mode) ? mode : 'text';
+    }
+
+    cellText(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/\s+/g, ' ').trim();
+    }
+
+    pageNumber(value) {
+        const page = parseInt(value, 10);
+        return Number.isInteger(page) && page > 0 ? page : 1;
+    }
+
+    /**
+     * Coerce loosely-shaped provider output into the common schema
+     * @param {Object} raw - { tables, keyValues } from a provider
+     * @returns {{tables: Object[], keyValues: Object[]}} Normalized result
+     */
+    normalize(raw) {
+        const tables = (Array.isArray(raw && raw.tables) ? raw.tables : [])
+            .map(table => {
+                const rows = (Array.isArray(table && table.rows) ? table.rows : [])
+                    .filter(Array.isArray)
+                    .map(row => row.map(cell => this.cellText(cell)));
+                const width = Math.max(0, ...rows.map(row => row.length));
+
+                return {
+                    page: this.pageNumber(table && table.page),
+                    rows: rows.map(row => row.concat(new Array(width - row.length).fill('')))
+                };
+            })
+            .filter(table => table.rows.length > 0);
+
+        const keyValues = (Array.isArray(raw && raw.keyValues) ? raw.keyValues : [])
+            .map(pair => ({
+                page: this.pageNumber(pair && pair.page),
+                key: this.cellText(pair && pair.key),
+                value: this.cellText(pair && pair.value)
+            }))
+            .filter(pair => pair.key || pair.value);
+
+        return { tables, keyValues };
+    }
+}
+
+module.exports = new StructuredHelper();
@@ -0,0 +1,149 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-'));
+process.env.RUNS_DIR = path.join(dir, 'runs');
+process.env.USAGE_FILE = path.join(dir, 'usage.json');
+process.env.RESULT_CACHE_TTL_MINUTES = '0';
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+process.env.CORS_ORIGINS = 'https://allowed.example';
+process.env.RATE_LIMIT_PER_IP_PER_MINUTE = '0';
+process.env.DAILY_QUOTA_PER_IP = '0';
+
+const { AccessControl, hashKey } = require('../access-control');
+
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+    keys: [
+        { id: 'ci', keyHash: hashKey('ci-secret') },
+        { id: 'limited', keyHash: hashKey('limited-secret'), rateLimitPerMinute: 1 },
+        { id: 'old', keyHash: hashKey('old-secret'), disabled: true }
+    ]
+}));
+
+const app = require('../server');
+const mockClients = require('../mock-clients');
+const textractHelper = require('../textract-helper');
+
+const PDF = Buffer.from('%PDF-1.4\n% test document\n');
+
+let server;
+let baseUrl;
+
+function extract(headers = {}) {
+    const form = new FormData();
+    form.append('pdf', new Blob([PDF], { type: 'application/pdf' }), 'invoice.pdf');
+    return fetch(`${baseUrl}/api/extract/textract`, { method: 'POST', body: form, headers });
+}
+
+before(async () => {
+    textractHelper.useClients({ ...mockClients.aws(mockClients.loadFixture('default')), pollIntervalMs: 1 });
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('API keys', () => {
+    test('leaves the health check open', async () => {
+        const res = await fetch(`${baseUrl}/api/health`);
+        assert.equal(res.status, 200);
+    });
+
+    test('rejects missing, unknown and revoked keys with 401', async () => {
+        const missing = await fetch(`${baseUrl}/api/providers`);
+        assert.equal(missing.status, 401);
+        assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+        assert.deepEqual(await missing.json(), {
+            success: false,
+            code: 'unauthorized',
+            error: 'Missing API key. Send it as "Authorization: Bearer <key>".'
+        });
+
+        for (const key of ['wrong', 'old-secret']) {
+            const res = await fetch(`${baseUrl}/api/providers`, { headers: { Authorization: `Bearer ${key}` } });
+            assert.equal(res.status, 401);
+            assert.equal((await res.json()).error, 'Invalid or revoked API key.');
+        }
+    });
+
+    test('accepts bearer tokens, X-API-Key and access_token on GET only', async () => {
+        assert.equal((await fetch(`${baseUrl}/api/providers`, { headers: { Authorization: 'Bearer ci-secret' } })).status, 200);
+        assert.equal((await fetch(`${baseUrl}/api/providers`, { headers: { 'X-API-Key': 'ci-secret' } })).status, 200);
+        assert.equal((await fetch(`${baseUrl}/api/providers?access_token=ci-secret`)).status, 200);
+
+        const form = new FormData();
+        form.append('pdf', new Blob([PDF], { type: 'application/pdf' }), 'invoice.pdf');
+        const post = await fetch(`${baseUrl}/api/extract/textract?access_token=ci-secret`, { method: 'POST', body: form });
+        assert.equal(post.status, 401);
+    });
+});
+
+describe('rate limits', () => {
+    test('returns 429 with Retry-After once a key uses up its per-minute limit', async () => {
+        const first = await extract({ Authorization: 'Bearer limited-secret' });
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('ratelimit-remaining'), '0');
+
+        const second = await extract({ Authorization: 'Bearer limited-secret' });
+        const body = await second.json();
+        assert.equal(second.status, 429);
+        assert.equal(body.code, 'rate_limited');
+        assert.match(body.error, /1 extractions per minute for API key "limited"/);
+        assert.ok(Number(second.headers.get('retry-after')) > 0);
+
+        // Other keys have their own budget
+        assert.equal((await extract({ Authorization: 'Bearer ci-secret' })).status, 200);
+    });
+
+    test('enforces per-IP windows and daily quotas', () => {
+        let now = Date.parse('2026-03-01T23:57:00.000Z');
+        const access = new AccessControl({ keysFile: null, ipRateLimit: 2, ipDailyQuota: 3, now: () => now });
+        const middleware = access.limit();
+        const call = () => {
+            const res = {
+                statusCode: 200,
+                headers: {},
+                body: null,
+                set(name, value) { this.headers[name] = value; return this; },
+                status(code) { this.statusCode = code; return this; },
+                json(body) { this.body = body; return this; }
+            };
+            let passed = false;
+            middleware({ ip: '10.0.0.1' }, res, () => { passed = true; });
+            return { passed, res };
+        };
+
+        assert.equal(call().passed, true);
+        assert.equal(call().passed, true);
+        const limited = call();
+        assert.equal(limited.res.statusCode, 429);
+        assert.equal(limited.res.body.code, 'rate_limited');
+
+        now += 61 * 1000; // next window, still the same UTC day
+        assert.equal(call().passed, true);
+        const quota = call();
+        assert.equal(quota.res.body.code, 'quota_exceeded');
+        assert.equal(quota.res.headers['Retry-After'], '119');
+
+        now += 120 * 1000; // next UTC day
+        assert.equal(call().passed, true);
+    });
+});
+
+describe('CORS', () => {
+    test('only answers allowlisted origins', async () => {
+        const allowed = await fetch(`${baseUrl}/api/health`, { headers: { Origin: 'https://allowed.example' } });
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://allowed.example');
+
+        const other = await fetch(`${baseUrl}/api/health`, { headers: { Origin: 'https://evil.example' } });
+        assert.equal(other.headers.get('access-control-allow-origin'), null);
+    });
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const accuracyHelper = require('../accuracy-helper');
+
+const words = count => Array.from({ length: count }, (_, index) => `w${index}`);
+
+test('counts word edits exactly in documents with more distinct words than UTF-16 code units', () => {
+    // As single code units, 'extra' (token 65536) would collide with 'w0' (token 0)
+    const reference = words(65536).concat('extra');
+    const hypothesis = words(65536).concat('w0');
+    assert.equal(accuracyHelper.tokenDistance(hypothesis, reference), 1);
+
+    const long = words(70000);
+    const edited = long.slice();
+    edited[100] = 'substituted';
+    edited.splice(200, 1);
+    edited.splice(300, 0, 'inserted');
+    assert.equal(accuracyHelper.tokenDistance(edited, long), 3);
+});
+
+test('matches the string distance for small vocabularies', () => {
+    assert.equal(accuracyHelper.tokenDistance(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), 2);
+    assert.equal(accuracyHelper.tokenDistance([], ['a', 'b']), 2);
+});
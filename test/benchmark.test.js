@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadDocuments } = require('../benchmark');
+
+test('keeps documents that share a name apart', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const resultsDir = path.join(dir, 'results');
+    fs.mkdirSync(resultsDir);
+    ['invoice.pdf', 'invoice.png', 'invoice.pdf.txt', 'invoice.png.txt'].forEach(name => {
+        fs.writeFileSync(path.join(dir, name), name);
+    });
+
+    const documents = loadDocuments(dir, resultsDir);
+
+    assert.deepEqual(documents.map(doc => path.basename(doc.resultPath)), ['invoice.pdf.json', 'invoice.png.json']);
+    assert.deepEqual(documents.map(doc => path.basename(doc.referencePath)), ['invoice.pdf.txt', 'invoice.png.txt']);
+
+    // One invoice.txt for both is ambiguous
+    ['invoice.pdf.txt', 'invoice.png.txt'].forEach(name => fs.rmSync(path.join(dir, name)));
+    fs.writeFileSync(path.join(dir, 'invoice.txt'), 'reference');
+    assert.throws(() => loadDocuments(dir, resultsDir), /invoice\.txt could be the reference for invoice\.pdf or invoice\.png/);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockSQS } = require('../mock-clients');
+const { CompletionWorker, parseCompletion } = require('../completion-worker');
+const { TextractResultStore } = require('../textract-result-store');
+
+const QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/000000000000/completions';
+
+function storeFor(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'textract-results-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new TextractResultStore(dir);
+}
+
+// Stands in for the Get* calls: one result page per job
+const fetchResults = async completion => [{ JobStatus: completion.status, Blocks: [{ Id: completion.jobId }] }];
+
+function send(sqs, message, envelope = true) {
+    const body = JSON.stringify(message);
+    return sqs.sendMessage({
+        QueueUrl: QUEUE_URL,
+        MessageBody: envelope ? JSON.stringify({ Type: 'Notification', Message: body }) : body
+    }).promise();
+}
+
+test('parses raw and SNS-wrapped completion messages', () => {
+    const message = { JobId: 'job-1', Status: 'SUCCEEDED', API: 'StartDocumentTextDetection', JobTag: 'tag' };
+    const expected = { jobId: 'job-1', status: 'SUCCEEDED', api: 'StartDocumentTextDetection', jobTag: 'tag' };
+
+    assert.deepEqual(parseCompletion(JSON.stringify(message)), expected);
+    assert.deepEqual(parseCompletion(JSON.stringify({ Type: 'Notification', Message: JSON.stringify(message) })), expected);
+    assert.equal(parseCompletion('not json'), null);
+    assert.equal(parseCompletion(JSON.stringify({ hello: 'world' })), null);
+});
+
+test('hands out fetched results, including ones stored before anyone waited', async t => {
+    const sqs = new MockSQS();
+    const store = storeFor(t);
+    const worker = new CompletionWorker({ sqs, queueUrl: QUEUE_URL, jobTag: 'mine', fetchResults, store });
+
+    await send(sqs, { JobId: 'early', Status: 'SUCCEEDED', JobTag: 'mine' });
+    await send(sqs, { JobId: 'late', Status: 'FAILED', JobTag: 'mine' }, false);
+
+    const late = await worker.waitFor('late', Date.now() + 1000);
+    assert.equal(late.status, 'FAILED');
+    assert.deepEqual(late.responses, [{ JobStatus: 'FAILED', Blocks: [{ Id: 'late' }] }]);
+    // Received alongside 'late' before anyone waited for it; a restarted worker finds it too
+    const restarted = new CompletionWorker({ sqs, queueUrl: QUEUE_URL, jobTag: 'mine', fetchResults, store });
+    const early = await restarted.waitFor('early', Date.now() + 1000);
+    assert.equal(early.jobId, 'early');
+    assert.equal(await store.get('early'), null);
+
+    const missing = await worker.waitFor('never', Date.now() + 50);
+    assert.equal(missing, null);
+
+    assert.equal(sqs.queue(QUEUE_URL).length, 0);
+    await worker.stop();
+    await restarted.stop();
+});
+
+test('releases other consumers\' messages back to the queue', async t => {
+    const sqs = new MockSQS();
+    const worker = new CompletionWorker({ sqs, queueUrl: QUEUE_URL, jobTag: 'mine', fetchResults, store: storeFor(t) });
+
+    await send(sqs, { JobId: 'theirs', Status: 'SUCCEEDED', JobTag: 'other' });
+    await worker.waitFor('mine', Date.now() + 50);
+    await worker.stop();
+
+    assert.equal(sqs.queue(QUEUE_URL).length, 1);
+    // Released with a backoff, so the worker received it once rather than in a tight loop
+    const releases = sqs.calls.filter(call => call.operation === 'changeMessageVisibility');
+    assert.equal(releases.length, 1);
+    assert.ok(releases[0].params.VisibilityTimeout > 0);
+    assert.ok(!sqs.calls.some(call => call.operation === 'deleteMessage'));
+});
+
+test('keeps a message on the queue until its results are stored', async t => {
+    const sqs = new MockSQS({ visibilityTimeoutMs: 20 });
+    const store = storeFor(t);
+    let attempts = 0;
+    const worker = new CompletionWorker({
+        sqs,
+        queueUrl: QUEUE_URL,
+        jobTag: 'mine',
+        store,
+        fetchResults: async completion => {
+            if (++attempts === 1) throw new Error('Rate exceeded');
+            return fetchResults(completion);
+        }
+    });
+
+    await send(sqs, { JobId: 'job-1', Status: 'SUCCEEDED', JobTag: 'mine' });
+    const record = await worker.waitFor('job-1', Date.now() + 2000);
+
+    // Redelivered after the failed fetch, then deleted once stored
+    assert.equal(attempts, 2);
+    assert.equal(record.status, 'SUCCEEDED');
+    assert.equal(sqs.calls.filter(call => call.operation === 'deleteMessage').length, 1);
+    assert.equal(sqs.queue(QUEUE_URL).length, 0);
+    await worker.stop();
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfidenceHelper } = require('../confidence-helper');
+
+test('summarizes more values than fit in one call\'s arguments', () => {
+    const values = Array.from({ length: 300000 }, (_, index) => (index === 12345 ? 42 : 95));
+
+    const stats = new ConfidenceHelper().stats(values, 90);
+
+    assert.equal(stats.count, 300000);
+    assert.equal(stats.min, 42);
+    assert.equal(stats.belowThreshold, 1 / 300000);
+    assert.ok(Math.abs(stats.mean - (95 * 299999 + 42) / 300000) < 1e-9);
+});
+
+test('summarizes the largest asynchronous Textract documents in linear time', () => {
+    // 3000 pages of 40 lines with 8 words each
+    const pages = Array.from({ length: 3000 }, (_, index) => ({
+        page: index + 1,
+        lines: Array.from({ length: 40 }, () => ({
+            confidence: 99,
+            words: Array.from({ length: 8 }, () => ({ confidence: 80 }))
+        }))
+    }));
+
+    const started = Date.now();
+    const summary = new ConfidenceHelper().summarize(pages, 90);
+
+    assert.equal(summary.lines.count, 120000);
+    assert.equal(summary.words.count, 960000);
+    assert.equal(summary.words.belowThreshold, 1);
+    assert.equal(summary.pages.length, 3000);
+    // Copying the word list once per line took several seconds
+    assert.ok(Date.now() - started < 3000);
+});
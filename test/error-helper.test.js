@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const errorHelper = require('../error-helper');
+
+const withCode = (code, message = 'failed') => Object.assign(new Error(message), { code });
+const httpError = (status, message = 'failed') => Object.assign(new Error(message), { status, statusText: 'Status' });
+
+test('classifies AWS, Gemini and network errors', () => {
+    assert.equal(errorHelper.classify(withCode('CredentialsError', 'Missing credentials in config')), 'provider_credentials');
+    assert.equal(errorHelper.classify(withCode('ProvisionedThroughputExceededException')), 'throttled');
+    assert.equal(errorHelper.classify(withCode('UnsupportedDocumentException')), 'unsupported_document');
+    assert.equal(errorHelper.classify(withCode('ECONNRESET')), 'provider_unavailable');
+    assert.equal(errorHelper.classify(httpError(403)), 'provider_credentials');
+    assert.equal(errorHelper.classify(httpError(400, '[400 Bad Request] API key not valid. Please pass a valid API key.')), 'provider_credentials');
+    assert.equal(errorHelper.classify(httpError(503)), 'provider_unavailable');
+    assert.equal(errorHelper.classify(new Error('[GoogleGenerativeAI Error]: Candidate was blocked due to SAFETY')), 'safety_blocked');
+    assert.equal(errorHelper.classify(new Error('Something unexpected')), 'internal_error');
+    assert.equal(errorHelper.classify(new Error('Something unexpected'), 'provider_error'), 'provider_error');
+});
+
+test('keeps the classification when wrapping provider errors', () => {
+    const cause = withCode('ThrottlingException', 'Rate exceeded');
+    const wrapped = errorHelper.wrap(cause, 'Textract extraction failed');
+
+    assert.equal(wrapped.message, 'Textract extraction failed: Rate exceeded');
+    assert.equal(wrapped.code, 'throttled');
+    assert.equal(wrapped.status, 429);
+    assert.equal(wrapped.cause, cause);
+    assert.equal(errorHelper.wrap(wrapped, 'Retry failed').code, 'throttled');
+    assert.equal(errorHelper.status('not_a_code'), 500);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const mockClients = require('../mock-clients');
+const { GeminiHelper } = require('../gemini-helper');
+
+async function makePdf(pageCount) {
+    const doc = await PDFDocument.create();
+    for (let page = 0; page < pageCount; page++) {
+        doc.addPage([200, 200]);
+    }
+    return Buffer.from(await doc.save());
+}
+
+function helperFor(gemini, { chunkPages = 2, inlineMaxBytes = 10 * 1024 * 1024 } = {}) {
+    const clients = mockClients.gemini(gemini);
+    const helper = new GeminiHelper(clients);
+    helper.chunkPages = chunkPages;
+    helper.inlineMaxBytes = inlineMaxBytes;
+    return { helper, clients };
+}
+
+test('splits long PDFs into chunks and reassembles pages in order', async () => {
+    const pdf = await makePdf(5);
+    // Each chunk's response numbers its pages from 1
+    const { helper, clients } = helperFor(buffer => ({
+        gemini: { text: `[[PAGE 1]]\nfirst of ${buffer.length}\n[[PAGE 2]]\nsecond` }
+    }));
+
+    const result = await helper.extract({ buffer: pdf, mimeType: 'application/pdf', originalName: 'long.pdf' });
+
+    assert.equal(clients.genAI.calls.length, 3);
+    assert.deepEqual(result.pages.map(page => page.page), [1, 2, 3, 4, 5, 6]);
+    assert.equal(result.pages[1].text, 'second');
+    assert.match(result.pages[2].text, /^first of/);
+});
+
+test('offsets tables and key-value pages from chunks', async () => {
+    const pdf = await makePdf(4);
+    const { helper } = helperFor({
+        gemini: {
+            text: JSON.stringify({
+                pages: [{ page: 1, text: 'a' }, { page: 2, text: 'b' }],
+                tables: [{ page: 2, rows: [['x']] }],
+                keyValues: [{ page: 1, key: 'k', value: 'v' }]
+            })
+        }
+    });
+
+    const result = await helper.extract(
+        { buffer: pdf, mimeType: 'application/pdf', originalName: 'form.pdf' },
+        { mode: 'tables-forms' }
+    );
+
+    assert.deepEqual(result.structured.tables.map(table => table.page), [2, 4]);
+    assert.deepEqual(result.structured.keyValues.map(pair => pair.page), [1, 3]);
+});
+
+test('reports truncated responses instead of returning partial text', async () => {
+    const pdf = await makePdf(3);
+    const { helper } = helperFor({ gemini: { text: '[[PAGE 1]]\npartial', finishReason: 'MAX_TOKENS' } });
+
+    await assert.rejects(
+        helper.extract({ buffer: pdf, mimeType: 'application/pdf', originalName: 'long.pdf' }),
+        /truncated at the output token limit \(chunk 1\/2, pages 1-2\)/
+    );
+});
+
+test('uploads large files through the File API and deletes them afterwards', async () => {
+    const pdf = await makePdf(1);
+    const { helper, clients } = helperFor({ gemini: { text: '[[PAGE 1]]\nhello' } }, { inlineMaxBytes: 10 });
+
+    const result = await helper.extract({ buffer: pdf, mimeType: 'application/pdf', originalName: 'big.pdf' });
+
+    assert.equal(result.text, 'hello');
+    const part = clients.genAI.calls[0].parts[1];
+    assert.ok(part.fileData.fileUri.startsWith('mock://files/'));
+    assert.deepEqual(clients.fileManager.calls.map(call => call.operation), ['uploadFile', 'deleteFile']);
+    assert.equal(clients.fileManager.files.size, 0);
+    assert.equal(helper.uploadedFiles.size, 0);
+});
+
+test('deletes the upload when waiting for the File API fails', async () => {
+    const pdf = await makePdf(1);
+    const { helper, clients } = helperFor({ gemini: { text: '[[PAGE 1]]\nhello' } }, { inlineMaxBytes: 10 });
+    helper.filePollIntervalMs = 1;
+    const { fileManager } = clients;
+    const upload = fileManager.uploadFile.bind(fileManager);
+    fileManager.uploadFile = async (...args) => {
+        const { file } = await upload(...args);
+        return { file: { ...file, state: 'PROCESSING' } };
+    };
+    fileManager.getFile = async () => {
+        throw new Error('getFile failed');
+    };
+
+    await assert.rejects(
+        helper.extract({ buffer: pdf, mimeType: 'application/pdf', originalName: 'big.pdf' }),
+        /getFile failed/
+    );
+    assert.equal(fileManager.files.size, 0);
+    assert.equal(helper.uploadedFiles.size, 0);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobManager } = require('../job-manager');
+
+const FILE = { originalName: 'scan.pdf', buffer: Buffer.from('%PDF-1.4\n'), mimeType: 'application/pdf' };
+const TARGETS = [{ id: 'textract', provider: { id: 'textract', name: 'Amazon Textract' } }];
+
+/**
+ * A manager whose jobs only finish when the test says so
+ */
+function controlledManager(options) {
+    const manager = new JobManager(options);
+    const finishers = new Map();
+    manager.run = job => new Promise(resolve => {
+        finishers.set(job.id, () => {
+            job.status = 'completed';
+            job.completedAt = new Date().toISOString();
+            resolve();
+        });
+    });
+    return { manager, finish: job => finishers.get(job.id)() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most the configured number of jobs and starts queued ones in order', async () => {
+    const { manager, finish } = controlledManager({ concurrency: 2 });
+    const jobs = [1, 2, 3, 4].map(() => manager.create({ file: FILE, targets: TARGETS }));
+    const statuses = [];
+    manager.on(`job:${jobs[3].id}`, event => statuses.push(event.data));
+    await tick();
+
+    assert.deepEqual(jobs.map(job => job.status), ['running', 'running', 'queued', 'queued']);
+    assert.deepEqual(jobs.map(job => manager.toJSON(job).position), [null, null, 1, 2]);
+
+    finish(jobs[0]);
+    await tick();
+    assert.deepEqual(jobs.map(job => job.status), ['completed', 'running', 'running', 'queued']);
+    assert.equal(manager.toJSON(jobs[3]).position, 1);
+
+    finish(jobs[1]);
+    await tick();
+    assert.equal(jobs[3].status, 'running');
+    assert.deepEqual(statuses, [
+        { status: 'queued', position: 2 },
+        { status: 'queued', position: 1 },
+        { status: 'running', position: null }
+    ]);
+});
+
+test('refuses jobs once the queue is full', async () => {
+    const { manager } = controlledManager({ concurrency: 1, maxQueued: 1 });
+    manager.create({ file: FILE, targets: TARGETS });
+    await tick();
+    manager.create({ file: FILE, targets: TARGETS });
+
+    assert.throws(() => manager.create({ file: FILE, targets: TARGETS }), error => {
+        assert.equal(error.code, 'queue_full');
+        assert.equal(error.status, 503);
+        assert.equal(error.retryAfter, 30);
+        return true;
+    });
+});
+
+test('finishes a job whose run throws and starts the next one', async () => {
+    const manager = new JobManager({ concurrency: 1 });
+    manager.run = async job => {
+        if (job === failing) throw new Error('Disk full');
+        job.completedAt = new Date().toISOString();
+    };
+    const failing = manager.create({ file: FILE, targets: TARGETS });
+    const next = manager.create({ file: FILE, targets: TARGETS });
+    const events = [];
+    manager.on(`job:${failing.id}`, event => events.push(event));
+
+    await tick();
+    await tick();
+
+    assert.equal(failing.status, 'failed');
+    assert.ok(failing.completedAt);
+    assert.equal(failing.providers.textract.status, 'failed');
+    assert.equal(failing.providers.textract.message, 'Disk full');
+    assert.equal(events[events.length - 1].type, 'done');
+    assert.ok(next.completedAt);
+});
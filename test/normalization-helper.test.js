@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const normalizationHelper = require('../normalization-helper');
+const accuracyHelper = require('../accuracy-helper');
+
+test('normalizes Unicode forms, hyphenation and whitespace', () => {
+    assert.equal(
+        normalizationHelper.normalize('The  ﬁrst “quote” — exam-\n  ple\r\n\r\n\r\n\r\nnext\u00AD\nline  Ｆull\u200B width  \n\n'),
+        'The first "quote" - example\n\nnextline Full width'
+    );
+    // Only a lowercase continuation is a split word
+    assert.equal(normalizationHelper.normalize('North-\nEast'), 'North-\nEast');
+});
+
+test('scores providers on normalized text', () => {
+    const reference = 'The first example of effective text.';
+    const score = accuracyHelper.score('The ﬁrst exam-\nple of eﬀective  text.', reference);
+
+    assert.equal(score.cer, 0);
+    assert.equal(score.wer, 0);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PricingHelper, loadPricing } = require('../pricing-helper');
+
+test('returns null for unpriced models and missing usage', () => {
+    const pricing = new PricingHelper();
+
+    assert.equal(pricing.estimate('gemini', 'gemini-experimental', { inputTokens: 10 }), null);
+    assert.equal(pricing.estimate('textract', 'DetectDocumentText', null), null);
+});
+
+test('merges PRICING_FILE overrides per model', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-')), 'pricing.json');
+    fs.writeFileSync(file, JSON.stringify({
+        currency: 'EUR',
+        providers: { textract: { DetectDocumentText: { perPage: 0.001 } } }
+    }));
+
+    const pricing = new PricingHelper(loadPricing(file));
+
+    assert.deepEqual(pricing.estimate('textract', 'DetectDocumentText', { pages: 3 }), {
+        amount: 0.003,
+        currency: 'EUR',
+        rate: { perPage: 0.001 }
+    });
+    // Models not in the file keep their defaults
+    assert.equal(pricing.estimate('textract', 'AnalyzeDocument (TABLES, FORMS)', { pages: 1 }).amount, 0.065);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
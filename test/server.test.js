@@ -0,0 +1,585 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UTIF = require('utif');
+const { PDFDocument } = require('pdf-lib');
+
+process.env.RUNS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+process.env.USAGE_FILE = path.join(process.env.RUNS_DIR, 'usage', 'usage.json');
+process.env.RESULT_CACHE_TTL_MINUTES = '0';
+process.env.GEMINI_MAX_UPLOAD_MB = '1';
+process.env.TEXTRACT_MAX_UPLOAD_MB = '2';
+process.env.RATE_LIMIT_PER_IP_PER_MINUTE = '0';
+process.env.DAILY_QUOTA_PER_IP = '0';
+
+const app = require('../server');
+const mockClients = require('../mock-clients');
+const textractHelper = require('../textract-helper');
+const geminiHelper = require('../gemini-helper');
+const providerRegistry = require('../provider-registry');
+
+const PDF = Buffer.from('%PDF-1.4\n% test document\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const TIFF = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0, 0, 0, 0]);
+
+let server;
+let baseUrl;
+let aws;
+let gemini;
+
+/**
+ * Point both providers at fresh mocks replaying the given fixture
+ */
+function useFixture(fixture) {
+    aws = mockClients.aws(fixture);
+    gemini = mockClients.gemini(fixture);
+    textractHelper.useClients({ ...aws, pollIntervalMs: 1 });
+    geminiHelper.useClients(gemini);
+}
+
+function upload(url, { file = PDF, name = 'invoice.pdf', type = 'application/pdf', fields = {} } = {}) {
+    const form = new FormData();
+    form.append('pdf', new Blob([file], { type }), name);
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    return fetch(`${baseUrl}${url}`, { method: 'POST', body: form });
+}
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(process.env.RUNS_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => useFixture(mockClients.loadFixture('default')));
+
+describe('POST /api/extract/textract', () => {
+    test('follows NextToken pagination and groups lines by page', async () => {
+        const res = await upload('/api/extract/textract');
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.model, 'DetectDocumentText');
+        assert.deepEqual(body.pages.map(page => page.page), [1, 2]);
+        assert.equal(body.pages[0].text, 'INVOICE INV-001\nInvoice Number: INV-001\nWidget 3');
+        assert.equal(body.pages[1].text, 'Thank you for your business');
+
+        const tokens = aws.textract.calls
+            .filter(call => call.operation === 'getDocumentTextDetection')
+            .map(call => call.params.NextToken);
+        assert.ok(tokens.includes('1'), 'second result page requested with NextToken');
+    });
+
+    test('orders lines by layout on request and returns normalized text', async () => {
+        const body = await (await upload('/api/extract/textract', { fields: { readingOrder: 'layout' } })).json();
+
+        assert.equal(body.success, true);
+        assert.deepEqual(body.settings, { model: 'DetectDocumentText', readingOrder: 'layout' });
+        assert.equal(body.pages[0].text, 'INVOICE INV-001\n\nInvoice Number: INV-001\n\nWidget 3');
+        assert.equal(body.text, `${body.pages[0].text}\n\nThank you for your business\n`);
+        assert.equal(body.normalized.text, body.text.trim());
+        assert.deepEqual(body.normalized.pages.map(page => page.page), [1, 2]);
+
+        const res = await upload('/api/extract/textract', { fields: { readingOrder: 'diagonal' } });
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /Unknown reading order/);
+    });
+
+    test('keeps line and word geometry and confidence per page', async () => {
+        const body = await (await upload('/api/extract/textract')).json();
+        const line = body.pages[0].lines[1];
+
+        assert.equal(body.pages[0].lines.length, 3);
+        assert.equal(line.text, 'Invoice Number: INV-001');
+        assert.equal(line.confidence, 98.7);
+        assert.deepEqual(line.boundingBox, { left: 0.1, top: 0.12, width: 0.5, height: 0.03 });
+        assert.deepEqual(line.words.map(word => [word.text, word.confidence]), [['Invoice', 99.6], ['Number:', 99.2], ['INV-001', 97.3]]);
+        assert.deepEqual(body.pages[0].lines[0].words, []);
+    });
+
+    test('summarizes line and word confidence', async () => {
+        const body = await (await upload('/api/extract/textract')).json();
+
+        assert.equal(body.confidence.threshold, 90);
+        assert.equal(body.confidence.lines.count, 4);
+        assert.equal(body.confidence.lines.min, 61.4);
+        assert.equal(body.confidence.lines.belowThreshold, 0.25);
+        assert.ok(Math.abs(body.confidence.lines.mean - 89.675) < 1e-9);
+        assert.deepEqual(body.confidence.words, { count: 3, mean: 98.7, min: 97.3, belowThreshold: 0 });
+        assert.deepEqual(body.confidence.pages.map(page => [page.page, page.lines.count, page.words]), [
+            [1, 3, body.confidence.words],
+            [2, 1, null]
+        ]);
+
+        const gemini = await (await upload('/api/extract/gemini')).json();
+        assert.equal(gemini.confidence, null);
+    });
+
+    test('deletes the temporary S3 object after success', async () => {
+        await upload('/api/extract/textract');
+
+        const put = aws.s3.calls.find(call => call.operation === 'putObject');
+        const deleted = aws.s3.calls.find(call => call.operation === 'deleteObject');
+        assert.equal(put.params.ContentType, 'application/pdf');
+        assert.equal(deleted.params.Key, put.params.Key);
+        assert.equal(aws.s3.objects.size, 0);
+    });
+
+    test('reports a FAILED job and still cleans up S3', async () => {
+        useFixture(mockClients.loadFixture('textract-failed'));
+
+        const res = await upload('/api/extract/textract');
+        const body = await res.json();
+
+        assert.equal(res.status, 502);
+        assert.equal(body.success, false);
+        assert.equal(body.code, 'provider_error');
+        assert.match(body.error, /Textract job failed/);
+        assert.equal(aws.s3.objects.size, 0);
+    });
+
+    test('cleans up S3 when the job cannot be started', async () => {
+        useFixture({ textract: { startError: { code: 'InvalidParameterException', message: 'Request has invalid parameters' } } });
+
+        const body = await (await upload('/api/extract/textract')).json();
+
+        assert.equal(body.success, false);
+        assert.match(body.error, /Request has invalid parameters/);
+        assert.ok(aws.s3.calls.some(call => call.operation === 'deleteObject'));
+        assert.equal(aws.s3.objects.size, 0);
+    });
+
+    test('returns tables and key-value pairs in tables-forms mode', async () => {
+        const body = await (await upload('/api/extract/textract', { fields: { mode: 'tables-forms' } })).json();
+
+        assert.equal(body.success, true);
+        assert.ok(aws.textract.calls.some(call => call.operation === 'startDocumentAnalysis'));
+        assert.deepEqual(body.structured.tables[0].rows, [['Item', 'Qty'], ['Widget', '3']]);
+        assert.deepEqual(body.structured.keyValues[0], { page: 1, key: 'Invoice Number:', value: 'INV-001' });
+    });
+
+    test('sends single images inline to the synchronous API', async () => {
+        const body = await (await upload('/api/extract/textract', { file: PNG, name: 'receipt.png', type: 'image/png' })).json();
+
+        assert.equal(body.success, true);
+        const call = aws.textract.calls.find(call => call.operation === 'detectDocumentText');
+        assert.ok(call.params.Document.Bytes);
+        assert.equal(aws.s3.calls.length, 0);
+    });
+
+    test('rejects single images over the synchronous API\'s 10MB limit without uploading them', async () => {
+        const large = Buffer.concat([PNG, Buffer.alloc(10 * 1024 * 1024)]);
+
+        // Uploads this size are over the test server's limit, so go straight to the provider
+        await assert.rejects(textractHelper.extract({ buffer: large, mimeType: 'image/png', originalName: 'poster.png' }), error => {
+            assert.equal(error.code, 'file_too_large');
+            assert.match(error.message, /up to 10MB, this one is 10\.0MB/);
+            return true;
+        });
+        assert.equal(aws.s3.calls.length, 0);
+        assert.equal(aws.textract.calls.length, 0);
+
+        aws.s3.objects.set('customer-docs/poster.png', large);
+        const reference = await fetch(`${baseUrl}/api/extract-by-reference/textract`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: 's3://customer-docs/poster.png' })
+        });
+        assert.equal(reference.status, 413);
+        assert.equal((await reference.json()).code, 'file_too_large');
+        assert.equal(aws.textract.calls.length, 0);
+    });
+
+    test('runs TIFFs through an asynchronous job', async () => {
+        const body = await (await upload('/api/extract/textract', { file: TIFF, name: 'scan.tiff', type: 'image/tiff' })).json();
+
+        assert.equal(body.success, true);
+        assert.ok(aws.textract.calls.some(call => call.operation === 'startDocumentTextDetection'));
+        assert.equal(aws.s3.calls.find(call => call.operation === 'putObject').params.ContentType, 'image/tiff');
+    });
+});
+
+describe('POST /api/extract-by-reference/:provider', () => {
+    const extractByReference = (provider, body) => fetch(`${baseUrl}/api/extract-by-reference/${provider}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    test('reads an existing S3 object in place without copying or deleting it', async () => {
+        aws.s3.objects.set('customer-docs/2026/invoices/inv-001.pdf', PDF);
+
+        const res = await extractByReference('textract', { url: 's3://customer-docs/2026/invoices/inv-001.pdf' });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.pages[0].text, 'INVOICE INV-001\nInvoice Number: INV-001\nWidget 3');
+        const start = aws.textract.calls.find(call => call.operation === 'startDocumentTextDetection');
+        assert.deepEqual(start.params.DocumentLocation.S3Object, { Bucket: 'customer-docs', Name: '2026/invoices/inv-001.pdf' });
+        assert.deepEqual(aws.s3.calls.map(call => call.operation), ['headObject']);
+        assert.ok(aws.s3.objects.has('customer-docs/2026/invoices/inv-001.pdf'));
+    });
+
+    test('rejects malformed URLs, missing objects and providers that need uploads', async () => {
+        const malformed = await extractByReference('textract', { url: 'https://example.com/inv.pdf' });
+        assert.equal(malformed.status, 400);
+        assert.match((await malformed.json()).error, /s3:\/\/bucket\/key/);
+
+        const missing = await extractByReference('textract', { url: 's3://customer-docs/missing.pdf' });
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error, 'No document at s3://customer-docs/missing.pdf');
+
+        const gemini = await extractByReference('gemini', { url: 's3://customer-docs/inv.pdf' });
+        assert.equal(gemini.status, 400);
+        assert.match((await gemini.json()).error, /can't read documents by reference/);
+    });
+});
+
+describe('usage and cost', () => {
+    test('prices Textract pages and Gemini tokens and accumulates spend', async () => {
+        const before = await (await fetch(`${baseUrl}/api/usage`)).json();
+
+        const textract = await (await upload('/api/extract/textract')).json();
+        assert.deepEqual(textract.usage, { pages: 2 });
+        assert.equal(textract.cost.amount, 0.003);
+        assert.equal(textract.cost.currency, 'USD');
+
+        const gemini = await (await upload('/api/extract/gemini')).json();
+        assert.deepEqual(gemini.usage, { inputTokens: 1000, outputTokens: 500, thinkingTokens: 200 });
+        // 1,000 input tokens at $2/M plus 700 output and thinking tokens at $12/M
+        assert.equal(gemini.cost.amount, 0.0104);
+
+        const after = await (await fetch(`${baseUrl}/api/usage`)).json();
+        assert.equal(after.total.extractions, before.total.extractions + 2);
+        assert.equal(Math.round((after.total.cost - before.total.cost) * 1e6) / 1e6, 0.0134);
+        assert.equal(after.providers.gemini.models['gemini-3-pro-preview'].usage.inputTokens >= 1000, true);
+        assert.equal(after.pricing.providers.textract.DetectDocumentText.perPage, 0.0015);
+    });
+
+    test('leaves failed extractions unpriced', async () => {
+        useFixture(mockClients.loadFixture('textract-failed'));
+        const body = await (await upload('/api/extract/textract')).json();
+
+        assert.equal(body.success, false);
+        assert.equal(body.usage, null);
+        assert.equal(body.cost, null);
+    });
+});
+
+describe('POST /api/extract/gemini', () => {
+    test('splits the response on page markers and echoes settings', async () => {
+        const res = await upload('/api/extract/gemini', {
+            fields: { model: 'gemini-2.5-flash', promptPreset: 'markdown', generationConfig: '{"temperature":0.4}' }
+        });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.model, 'gemini-2.5-flash');
+        assert.equal(body.settings.promptPreset, 'markdown');
+        assert.deepEqual(body.settings.generationConfig, { temperature: 0.4 });
+        assert.deepEqual(body.pages.map(page => page.page), [1, 2]);
+
+        const call = gemini.genAI.calls[0];
+        assert.equal(call.model, 'gemini-2.5-flash');
+        assert.equal(call.parts[1].inlineData.mimeType, 'application/pdf');
+    });
+
+    test('passes images with their MIME type', async () => {
+        await upload('/api/extract/gemini', { file: PNG, name: 'receipt.png', type: 'image/png' });
+
+        assert.equal(gemini.genAI.calls[0].parts[1].inlineData.mimeType, 'image/png');
+    });
+
+    test('reports Gemini API errors in the result', async () => {
+        useFixture(mockClients.loadFixture('gemini-error'));
+
+        const res = await upload('/api/extract/gemini');
+        const body = await res.json();
+
+        assert.equal(res.status, 429);
+        assert.equal(body.success, false);
+        assert.equal(body.code, 'throttled');
+        assert.match(body.error, /^Gemini extraction failed: .*429 Too Many Requests/);
+    });
+
+    test('converts TIFF pages to a PDF', async () => {
+        const pages = [UTIF.encodeImage(new Uint8Array(30 * 20 * 4).fill(255), 30, 20)]
+            .map(tiff => UTIF.decode(tiff)[0]);
+        const tiff = Buffer.from(UTIF.encode(pages.concat(pages)));
+        const res = await upload('/api/extract/gemini', { file: tiff, name: 'scan.tif', type: 'image/tiff' });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.success, true);
+        const part = gemini.genAI.calls[0].parts[1].inlineData;
+        assert.equal(part.mimeType, 'application/pdf');
+        assert.equal((await PDFDocument.load(Buffer.from(part.data, 'base64'))).getPageCount(), 2);
+    });
+
+    test('rejects TIFFs it cannot decode', async () => {
+        const res = await upload('/api/extract/gemini', { file: TIFF, name: 'scan.tif', type: 'image/tiff' });
+        const body = await res.json();
+
+        assert.equal(res.status, 422);
+        assert.equal(body.code, 'unsupported_document');
+        assert.equal(gemini.genAI.calls.length, 0);
+    });
+
+    test('reports responses withheld by safety filters', async () => {
+        useFixture({ gemini: { text: '', finishReason: 'SAFETY' } });
+
+        const res = await upload('/api/extract/gemini');
+        const body = await res.json();
+
+        assert.equal(res.status, 422);
+        assert.equal(body.code, 'safety_blocked');
+        assert.match(body.error, /finish reason SAFETY/);
+    });
+
+    test('returns 400 for invalid settings', async () => {
+        const res = await upload('/api/extract/gemini', { fields: { generationConfig: '{"temperature":9}' } });
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /temperature/);
+    });
+});
+
+describe('upload validation', () => {
+    test('returns 404 for an unknown provider', async () => {
+        const res = await upload('/api/extract/tesseract');
+        assert.equal(res.status, 404);
+    });
+
+    test('returns 400 when no file is uploaded', async () => {
+        const res = await fetch(`${baseUrl}/api/extract/textract`, { method: 'POST', body: new FormData() });
+        assert.equal(res.status, 400);
+        assert.deepEqual(await res.json(), {
+            success: false,
+            service: 'textract',
+            code: 'invalid_upload',
+            error: 'No file uploaded'
+        });
+    });
+
+    test('returns 400 for files in unexpected fields', async () => {
+        const form = new FormData();
+        form.append('document', new Blob([PDF], { type: 'application/pdf' }), 'invoice.pdf');
+        const res = await fetch(`${baseUrl}/api/extract/textract`, { method: 'POST', body: form });
+
+        assert.equal(res.status, 400);
+        const body = await res.json();
+        assert.equal(body.code, 'invalid_upload');
+        assert.match(body.error, /Unexpected field \(field "document"\)/);
+    });
+
+    test('returns 400 for an unsupported file type', async () => {
+        const res = await upload('/api/extract/textract', { file: Buffer.from('hello'), name: 'notes.txt', type: 'text/plain' });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Only PDF, PNG, JPEG or TIFF files are allowed');
+    });
+
+    test('returns 400 when the content does not match a supported type', async () => {
+        const res = await upload('/api/extract/textract', { file: Buffer.from('hello'), name: 'fake.pdf' });
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /Unsupported file content/);
+    });
+
+    test('returns 400 for a non-text reference transcript', async () => {
+        const form = new FormData();
+        form.append('pdf', new Blob([PDF], { type: 'application/pdf' }), 'invoice.pdf');
+        form.append('reference', new Blob([PDF], { type: 'application/pdf' }), 'reference.pdf');
+        const res = await fetch(`${baseUrl}/api/extract/textract`, { method: 'POST', body: form });
+
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Reference transcript must be a .txt file');
+    });
+
+    test('returns 413 for files over the largest provider limit', async () => {
+        const res = await upload('/api/extract/textract', { file: Buffer.alloc(2 * 1024 * 1024 + 1) });
+        assert.equal(res.status, 413);
+        assert.deepEqual(await res.json(), {
+            success: false,
+            code: 'file_too_large',
+            error: 'File size too large. Maximum 2MB allowed.'
+        });
+    });
+
+    test('returns 413 for files over the provider\'s own limit', async () => {
+        const file = Buffer.concat([PDF, Buffer.alloc(1.5 * 1024 * 1024)]);
+
+        const gemini = await upload('/api/extract/gemini', { file });
+        assert.equal(gemini.status, 413);
+        assert.equal((await gemini.json()).error, 'File too large for Google Gemini 3 Pro. Maximum 1MB allowed.');
+
+        const textract = await upload('/api/extract/textract', { file });
+        assert.equal(textract.status, 200);
+    });
+});
+
+/**
+ * Start a job and wait until its run has been saved
+ */
+async function runJob(targets) {
+    const res = await upload('/api/jobs', { fields: { targets: JSON.stringify(targets) } });
+    assert.equal(res.status, 202);
+    const { jobId } = await res.json();
+
+    let job;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        job = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+        if (job.completedAt) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    // The run is written just after the job completes
+    let run;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const runRes = await fetch(`${baseUrl}/api/runs/${jobId}`);
+        if (runRes.ok) {
+            run = await runRes.json();
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return { job, run };
+}
+
+describe('POST /api/jobs', () => {
+    test('runs every target and saves the run', async () => {
+        const { job, run } = await runJob([
+            { provider: 'textract' },
+            { provider: 'gemini', label: 'flash', settings: { model: 'gemini-2.5-flash' } }
+        ]);
+
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(Object.keys(job.providers).sort(), ['gemini:flash', 'textract']);
+        assert.equal(job.providers['gemini:flash'].result.model, 'gemini-2.5-flash');
+        assert.equal(run.providers.textract.success, true);
+    });
+});
+
+describe('GET /api/runs/:id/export', () => {
+    let run;
+
+    before(async () => {
+        useFixture(mockClients.loadFixture('default'));
+        ({ run } = await runJob([{ provider: 'textract' }, { provider: 'gemini' }]));
+    });
+
+    test('exports a JSON report with pairwise agreement', async () => {
+        const res = await fetch(`${baseUrl}/api/runs/${run.id}/export?format=json`);
+        const report = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="invoice-comparison.json"/);
+        assert.equal(report.document.name, 'invoice.pdf');
+        assert.deepEqual(report.providers.map(entry => entry.target), ['textract', 'gemini']);
+        assert.equal(report.providers[1].settings.model, 'gemini-3-pro-preview');
+        assert.equal(report.comparisons.length, 1);
+        assert.equal(report.comparisons[0].left, 'textract');
+        assert.equal(typeof report.comparisons[0].wer, 'number');
+        assert.equal(report.totals.cost, 0.0134);
+    });
+
+    test('exports Markdown with a summary table and each text', async () => {
+        const res = await fetch(`${baseUrl}/api/runs/${run.id}/export?format=markdown`);
+        const markdown = await res.text();
+
+        assert.match(res.headers.get('content-type'), /^text\/markdown/);
+        assert.match(markdown, /^# Extraction comparison: invoice\.pdf/);
+        assert.match(markdown, /\| AWS Textract \| DetectDocumentText \| ok \|/);
+        assert.match(markdown, /## Agreement between providers/);
+        assert.match(markdown, /```\nINVOICE INV-001/);
+    });
+
+    test('exports a self-contained HTML page with escaped text', async () => {
+        useFixture({ ...mockClients.loadFixture('default'), gemini: { text: '<script>alert(1)</script>' } });
+        const { run: escaped } = await runJob([{ provider: 'gemini' }]);
+
+        const res = await fetch(`${baseUrl}/api/runs/${escaped.id}/export?format=html`);
+        const html = await res.text();
+
+        assert.match(res.headers.get('content-type'), /^text\/html/);
+        assert.match(html, /<!DOCTYPE html>/);
+        assert.doesNotMatch(html, /<script>/);
+        assert.doesNotMatch(html, /<link|src="http/);
+        assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    });
+
+    test('rejects unknown formats and missing runs', async () => {
+        const badFormat = await fetch(`${baseUrl}/api/runs/${run.id}/export?format=pdf`);
+        assert.equal(badFormat.status, 400);
+
+        const missing = await fetch(`${baseUrl}/api/runs/00000000-0000-0000-0000-000000000000/export`);
+        assert.equal(missing.status, 404);
+    });
+});
+
+describe('provider availability', () => {
+    test('disables misconfigured providers and reports readiness per provider', async () => {
+        const region = process.env.AWS_REGION;
+        process.env.AWS_REGION = 'moon-base-1a';
+        textractHelper.useClients({});
+
+        try {
+            const { providers } = await (await fetch(`${baseUrl}/api/providers`)).json();
+            const textract = providers.find(provider => provider.id === 'textract');
+            assert.equal(textract.available, false);
+            assert.match(textract.reason, /AWS_REGION "moon-base-1a" is not a valid region/);
+            assert.equal(providers.find(provider => provider.id === 'gemini').available, true);
+
+            const extract = await upload('/api/extract/textract');
+            assert.equal(extract.status, 503);
+            assert.equal((await extract.json()).code, 'provider_credentials');
+
+            const health = await fetch(`${baseUrl}/api/health`);
+            const report = await health.json();
+            assert.equal(health.status, 200);
+            assert.equal(report.status, 'degraded');
+            assert.equal(report.providers.textract.ready, false);
+            assert.deepEqual(report.providers.gemini.checks.map(check => [check.name, check.ok]), [['credentials', true], ['model', true]]);
+        } finally {
+            if (region === undefined) delete process.env.AWS_REGION;
+            else process.env.AWS_REGION = region;
+        }
+    });
+
+    test('fails readiness when the bucket is unreachable or the model unknown', async () => {
+        const defaultModel = geminiHelper.defaultModel;
+        aws.s3.buckets.clear();
+        geminiHelper.defaultModel = 'no-such-model';
+
+        try {
+            const report = await providerRegistry.readiness({ maxAgeMs: 0 });
+
+            assert.equal(report.status, 'unavailable');
+            assert.match(report.providers.textract.reason, /Bucket mock-bucket is not reachable/);
+            assert.match(report.providers.gemini.reason, /no-such-model could not be resolved/);
+        } finally {
+            geminiHelper.defaultModel = defaultModel;
+        }
+    });
+});
+
+describe('static files', () => {
+    test('serves pdf.js and its worker from the app instead of a CDN', async () => {
+        const appJs = await (await fetch(`${baseUrl}/app.js`)).text();
+        assert.ok(!/https?:\/\/[^'"]*pdf\.js/.test(appJs));
+
+        for (const file of ['pdf.min.js', 'pdf.worker.min.js']) {
+            const res = await fetch(`${baseUrl}/vendor/pdfjs/${file}`);
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /javascript/);
+        }
+    });
+});
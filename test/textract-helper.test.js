@@ -0,0 +1,254 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TEXTRACT_RESULTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'textract-results-'));
+
+const { PDFDocument } = require('pdf-lib');
+const mockClients = require('../mock-clients');
+const { TextractHelper } = require('../textract-helper');
+
+const PDF = Buffer.from('%PDF-1.4\n% test document\n');
+const PAGE = { DocumentMetadata: { Pages: 1 }, Blocks: [{ Id: 'l1', BlockType: 'LINE', Page: 1, Text: 'Hello' }] };
+
+function helperFor(fixture, timing = {}) {
+    const aws = mockClients.aws(fixture);
+    const helper = new TextractHelper({
+        ...aws,
+        timing: { pollIntervalMs: 1, maxPollIntervalMs: 8, retryBaseMs: 1, maxRetries: 3, ...timing }
+    });
+    return { helper, aws };
+}
+
+test('retries throttled calls with backoff', async () => {
+    const { helper, aws } = helperFor({
+        textract: {
+            throttle: { startDocumentTextDetection: 2, getDocumentTextDetection: 1 },
+            results: [PAGE]
+        }
+    });
+    const stages = [];
+
+    const result = await helper.extract(
+        { buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' },
+        { onProgress: stage => stages.push(stage) }
+    );
+
+    assert.equal(result.text, 'Hello\n');
+    assert.equal(aws.textract.calls.filter(call => call.operation === 'startDocumentTextDetection').length, 3);
+    assert.equal(stages.filter(stage => stage === 'throttled').length, 3);
+});
+
+test('gives up after maxRetries throttled attempts and cleans up', async () => {
+    const { helper, aws } = helperFor({
+        textract: { throttle: { startDocumentTextDetection: 10 }, results: [PAGE] }
+    });
+
+    await assert.rejects(
+        helper.extract({ buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' }),
+        /Provisioned rate exceeded/
+    );
+    assert.equal(aws.textract.calls.length, 4);
+    assert.equal(aws.s3.objects.size, 0);
+    assert.equal(helper.tempObjects.size, 0);
+});
+
+test('surfaces PARTIAL_SUCCESS, status messages and warnings', async () => {
+    const { helper } = helperFor({
+        textract: {
+            jobStatus: ['IN_PROGRESS', 'PARTIAL_SUCCESS'],
+            statusMessage: 'Some pages could not be processed',
+            results: [
+                { ...PAGE, Warnings: [{ ErrorCode: 'UNSUPPORTED_DOCUMENT_PAGE', Pages: [3] }] },
+                { Blocks: [], Warnings: [{ ErrorCode: 'UNSUPPORTED_DOCUMENT_PAGE', Pages: [2] }] }
+            ]
+        }
+    });
+
+    const result = await helper.extract({ buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' });
+
+    assert.equal(result.text, 'Hello\n');
+    assert.deepEqual(result.warnings, [
+        'Textract could only process part of the document (PARTIAL_SUCCESS)',
+        'Some pages could not be processed',
+        'UNSUPPORTED_DOCUMENT_PAGE on pages 2, 3'
+    ]);
+});
+
+test('rejects unknown job statuses instead of returning empty text', async () => {
+    const { helper, aws } = helperFor({ textract: { jobStatus: ['EXPIRED'] } });
+
+    await assert.rejects(
+        helper.extract({ buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' }),
+        /Unexpected Textract job status: EXPIRED/
+    );
+    assert.equal(aws.s3.objects.size, 0);
+});
+
+test('times out jobs that never finish and cleans up', async () => {
+    const { helper, aws } = helperFor({ textract: { jobStatus: ['IN_PROGRESS'] } }, { timeoutMs: 50 });
+
+    await assert.rejects(
+        helper.extract({ buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' }),
+        /did not finish within/
+    );
+    assert.equal(aws.s3.objects.size, 0);
+});
+
+test('shutdown deletes uploads of extractions still in flight', async () => {
+    const { helper, aws } = helperFor({ textract: { jobStatus: ['IN_PROGRESS'] } }, { timeoutMs: 1000 });
+
+    const running = helper.extract({ buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' });
+    running.catch(() => {});
+    while (aws.s3.objects.size === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await helper.shutdown();
+
+    assert.equal(aws.s3.objects.size, 0);
+    assert.equal(helper.tempObjects.size, 0);
+    await assert.rejects(running);
+});
+
+test('sorts two-column pages into reading order with paragraph breaks', async () => {
+    const line = (Id, Text, Left, Top, Width = 0.35) => ({
+        Id, BlockType: 'LINE', Page: 1, Text,
+        Geometry: { BoundingBox: { Left, Top, Width, Height: 0.03 } }
+    });
+    // API order runs across both columns, whose baselines don't line up
+    const blocks = [
+        line('t', 'Quarterly Report', 0.1, 0.05, 0.8),
+        line('l1', 'Left one', 0.1, 0.15),
+        line('r1', 'Right one', 0.55, 0.17),
+        line('l2', 'Left two', 0.1, 0.19),
+        line('r2', 'Right two', 0.55, 0.21),
+        line('l3', 'Left three', 0.1, 0.27),
+        line('r3', 'Right three', 0.55, 0.25),
+        line('f', 'Page 1 of 1', 0.1, 0.9, 0.8)
+    ];
+    const { helper } = helperFor({
+        textract: { results: [{ DocumentMetadata: { Pages: 1 }, Blocks: blocks }] }
+    });
+    const file = { buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' };
+
+    const layout = await helper.extract(file, { settings: { readingOrder: 'layout' } });
+
+    assert.equal(layout.pages[0].text,
+        'Quarterly Report\n\nLeft one\nLeft two\n\nLeft three\nRight one\nRight two\nRight three\n\nPage 1 of 1');
+    assert.equal(layout.text, layout.pages[0].text + '\n');
+    assert.deepEqual(layout.pages[0].lines.map(entry => Boolean(entry.paragraphStart)),
+        [false, true, false, true, false, false, false, true]);
+
+    const api = await helper.extract(file);
+    assert.equal(api.pages[0].text.split('\n')[2], 'Right one');
+    assert.throws(() => helper.resolveSettings({ settings: { readingOrder: 'diagonal' } }), /Unknown reading order/);
+});
+
+test('keeps label and value rows together instead of splitting them into columns', async () => {
+    const line = (Id, Text, Left, Top, Width = 0.2) => ({
+        Id, BlockType: 'LINE', Page: 1, Text,
+        Geometry: { BoundingBox: { Left, Top, Width, Height: 0.03 } }
+    });
+    const blocks = [
+        line('h', 'INVOICE', 0.1, 0.05),
+        line('a', 'Widget A', 0.1, 0.15),
+        line('a$', '$10.00', 0.75, 0.15, 0.1),
+        line('b', 'Widget B', 0.1, 0.19),
+        line('b$', '$20.00', 0.75, 0.19, 0.1),
+        line('c', 'Widget C', 0.1, 0.23),
+        line('c$', '$5.00', 0.75, 0.23, 0.1),
+        line('t', 'Total', 0.1, 0.31),
+        line('t$', '$35.00', 0.75, 0.31, 0.1)
+    ];
+    const { helper } = helperFor({
+        textract: { results: [{ DocumentMetadata: { Pages: 1 }, Blocks: blocks }] }
+    });
+
+    const layout = await helper.extract(
+        { buffer: PDF, mimeType: 'application/pdf', originalName: 'invoice.pdf' },
+        { settings: { readingOrder: 'layout' } }
+    );
+
+    assert.equal(layout.pages[0].text,
+        'INVOICE\n\nWidget A\n$10.00\nWidget B\n$20.00\nWidget C\n$5.00\n\nTotal\n$35.00');
+});
+
+test('sends single-page PDFs inline and uploads longer ones', async () => {
+    const pdfWithPages = async count => {
+        const document = await PDFDocument.create();
+        for (let page = 0; page < count; page++) document.addPage();
+        return Buffer.from(await document.save());
+    };
+    const { helper, aws } = helperFor({ textract: { results: [PAGE] } });
+
+    const single = await helper.extract({ buffer: await pdfWithPages(1), mimeType: 'application/pdf', originalName: 'one.pdf' });
+    assert.equal(single.text, 'Hello\n');
+    assert.ok(aws.textract.calls[0].params.Document.Bytes);
+    assert.equal(aws.s3.calls.length, 0);
+
+    await helper.extract({ buffer: await pdfWithPages(2), mimeType: 'application/pdf', originalName: 'two.pdf' });
+    assert.equal(aws.textract.calls[1].operation, 'startDocumentTextDetection');
+    assert.deepEqual(aws.s3.calls.map(call => call.operation), ['putObject', 'deleteObject']);
+});
+
+test('waits for the completion notification instead of polling', async () => {
+    const aws = mockClients.aws({ textract: { jobStatus: ['IN_PROGRESS', 'IN_PROGRESS', 'SUCCEEDED'], results: [PAGE] } });
+    const helper = new TextractHelper({ ...aws, notifications: true, timing: { pollIntervalMs: 1, timeoutMs: 2000 } });
+    const stages = [];
+
+    const result = await helper.extract(
+        { buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' },
+        { onProgress: stage => stages.push(stage) }
+    );
+
+    assert.equal(result.text, 'Hello\n');
+    const start = aws.textract.calls.find(call => call.operation === 'startDocumentTextDetection');
+    assert.deepEqual(start.params.NotificationChannel, { SNSTopicArn: aws.channel.topicArn, RoleArn: aws.channel.roleArn });
+    assert.equal(start.params.JobTag, 'pdf-extraction');
+    // The worker fetched the single result page; the extraction itself made no calls
+    assert.equal(aws.textract.calls.filter(call => call.operation === 'getDocumentTextDetection').length, 1);
+    assert.ok(!stages.includes('polling'));
+    assert.ok(!stages.includes('paginating'));
+    assert.ok(stages.indexOf('waiting') < stages.indexOf('notified'));
+    assert.equal(aws.sqs.queue(aws.channel.queueUrl).length, 0);
+    // Taken results are removed from the store
+    assert.deepEqual(fs.readdirSync(process.env.TEXTRACT_RESULTS_DIR), []);
+    await helper.shutdown();
+});
+
+test('checks the job status when its notification never arrives', async () => {
+    const aws = mockClients.aws({ textract: { results: [PAGE] } });
+    // The job finishes, but its notification is lost
+    aws.textract.sns = null;
+    const helper = new TextractHelper({ ...aws, notifications: true, timing: { timeoutMs: 2000, notificationCheckMs: 20 } });
+    const stages = [];
+
+    const result = await helper.extract(
+        { buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' },
+        { onProgress: stage => stages.push(stage) }
+    );
+
+    assert.equal(result.text, 'Hello\n');
+    assert.ok(stages.includes('checked'));
+    assert.ok(!stages.includes('notified'));
+    await helper.shutdown();
+});
+
+test('times out when no completion notification arrives', async () => {
+    const aws = mockClients.aws({ textract: { jobStatus: ['IN_PROGRESS'], results: [PAGE] } });
+    const helper = new TextractHelper({ ...aws, notifications: true, timing: { timeoutMs: 100 } });
+
+    await assert.rejects(
+        helper.extract({ buffer: PDF, mimeType: 'application/pdf', originalName: 'doc.pdf' }),
+        /did not finish within/
+    );
+    assert.equal(aws.s3.objects.size, 0);
+    await helper.shutdown();
+});
+
+after(() => {
+    fs.rmSync(process.env.TEXTRACT_RESULTS_DIR, { recursive: true, force: true });
+});
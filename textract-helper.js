@@ -1,116 +1,775 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const structuredHelper = require('./structured-helper');
+const readingOrderHelper = require('./reading-order-helper');
+const fileTypeHelper = require('./file-type-helper');
+const mockClients = require('./mock-clients');
+const { CompletionWorker } = require('./completion-worker');
+const errorHelper = require('./error-helper');
 
-const s3 = new AWS.S3({
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION
-});
+// Synchronous Textract operations accept documents up to 10MB
+const SYNC_MAX_BYTES = 10 * 1024 * 1024;
 
-const textract = new AWS.Textract({
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION
-});
+// How lines are ordered in the text: as the API returns them, or sorted into
+// columns and paragraphs from their geometry (see reading-order-helper.js)
+const READING_ORDERS = {
+    api: 'API order',
+    layout: 'Reading order (columns & paragraphs)'
+};
+
+// Error codes worth retrying with backoff (throttling and transient service errors)
+const RETRYABLE_ERRORS = new Set([
+    'ProvisionedThroughputExceededException',
+    'ThrottlingException',
+    'LimitExceededException',
+    'TooManyRequestsException',
+    'InternalServerError',
+    'ServiceUnavailable'
+]);
+
+/**
+ * Job timing from the environment. Polling starts at pollIntervalMs and
+ * doubles up to maxPollIntervalMs; throttled calls are retried up to
+ * maxRetries times with full-jitter backoff from retryBaseMs. Jobs waiting
+ * for a completion notification check their status every notificationCheckMs
+ * in case the notification never comes.
+ */
+function timingFromEnv() {
+    const number = (name, fallback) => {
+        const value = parseFloat(process.env[name]);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        timeoutMs: number('TEXTRACT_TIMEOUT_SECONDS', 300) * 1000,
+        pollIntervalMs: number('TEXTRACT_POLL_INTERVAL_MS', 1000),
+        maxPollIntervalMs: number('TEXTRACT_POLL_MAX_INTERVAL_MS', 15000),
+        maxRetries: number('TEXTRACT_MAX_RETRIES', 5),
+        retryBaseMs: number('TEXTRACT_RETRY_BASE_MS', 500),
+        notificationCheckMs: number('TEXTRACT_NOTIFICATION_CHECK_SECONDS', 60) * 1000
+    };
+}
+
+/**
+ * Where asynchronous jobs report completion when TEXTRACT_COMPLETION=notifications:
+ * Textract publishes to the SNS topic (using the role to do so), and the
+ * topic delivers to the queue read by the completion worker
+ * @returns {?{topicArn: string, roleArn: string, queueUrl: string}} Null unless all three are set
+ */
+function channelFromEnv() {
+    const channel = {
+        topicArn: process.env.TEXTRACT_SNS_TOPIC_ARN,
+        roleArn: process.env.TEXTRACT_SNS_ROLE_ARN,
+        queueUrl: process.env.TEXTRACT_SQS_QUEUE_URL
+    };
+    return channel.topicArn && channel.roleArn && channel.queueUrl ? channel : null;
+}
+
+/**
+ * Real AWS clients built from the environment
+ */
+function createAwsClients() {
+    const config = {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        region: process.env.AWS_REGION
+    };
+    return {
+        s3: new AWS.S3(config),
+        // Retries are handled by withRetries, so they count against the job timeout
+        textract: new AWS.Textract({ ...config, maxRetries: 0 }),
+        sqs: new AWS.SQS(config),
+        bucket: process.env.AWS_REPORT_BUCKET,
+        channel: channelFromEnv()
+    };
+}
 
 class TextractHelper {
+    /**
+     * @param {Object} clients - Optional { s3, textract, sqs, bucket, channel } overriding the clients built from
+     *                           the environment (or the mocks, see mock-clients.js), plus any of the
+     *                           timing settings from timingFromEnv()
+     */
+    constructor(clients = {}) {
+        this.id = 'textract';
+        this.name = 'AWS Textract';
+        this.description = 'Current System';
+        this.icon = '☁️';
+        this.accent = '#f5576c';
+        // Asynchronous jobs accept documents up to 500MB
+        this.maxUploadBytes = (parseFloat(process.env.TEXTRACT_MAX_UPLOAD_MB) || 50) * 1024 * 1024;
+
+        // Keys of temporary S3 objects that still need deleting
+        this.tempObjects = new Set();
+        this.useClients(clients);
+    }
+
+    /**
+     * Swap the S3, Textract and SQS clients and timing, e.g. for tests
+     * @param {Object} clients - { s3, textract, sqs, bucket, channel, notifications, timing } where
+     *                           notifications (default: TEXTRACT_COMPLETION=notifications) waits for
+     *                           jobs through the channel (see channelFromEnv()) instead of polling, and
+     *                           timing (or top-level keys) may set timeoutMs, pollIntervalMs,
+     *                           maxPollIntervalMs, maxRetries, retryBaseMs and notificationCheckMs
+     */
+    useClients({
+        s3,
+        textract,
+        sqs,
+        bucket,
+        channel,
+        notifications = process.env.TEXTRACT_COMPLETION === 'notifications',
+        timing = {},
+        ...overrides
+    } = {}) {
+        const defaults = s3 && textract ? {} : (mockClients.enabled ? mockClients.aws() : createAwsClients());
+        this.s3 = s3 || defaults.s3;
+        this.textract = textract || defaults.textract;
+        this.bucket = bucket || defaults.bucket || process.env.AWS_REPORT_BUCKET;
+        this.injected = Boolean(s3 && textract) || mockClients.enabled;
+
+        this.timing = { ...timingFromEnv(), ...(defaults.timing || {}), ...timing, ...overrides };
+
+        if (this.completionWorker) this.completionWorker.stop();
+        this.completionWorker = null;
+        this.channel = channel || defaults.channel || channelFromEnv();
+        const queue = sqs || defaults.sqs;
+        if (notifications && this.channel && queue) {
+            this.completionWorker = new CompletionWorker({
+                sqs: queue,
+                queueUrl: this.channel.queueUrl,
+                jobTag: process.env.TEXTRACT_JOB_TAG || 'pdf-extraction',
+                fetchResults: completion => this.collectResults(
+                    completion.jobId,
+                    this.resultsGetter(completion.api === 'StartDocumentAnalysis', Date.now() + this.timing.timeoutMs)
+                ),
+                waitTimeSeconds: Math.min(20, parseInt(process.env.TEXTRACT_SQS_WAIT_SECONDS, 10) || 20)
+            });
+        } else if (notifications) {
+            console.warn('Textract completion notifications need TEXTRACT_SNS_TOPIC_ARN, TEXTRACT_SNS_ROLE_ARN and TEXTRACT_SQS_QUEUE_URL; polling instead');
+        }
+    }
+
+    isConfigured() {
+        return this.configIssues().length === 0;
+    }
+
+    /**
+     * Why the provider can't run with the current configuration (see provider-registry.js)
+     * @returns {string[]} Problems, empty when it can run
+     */
+    configIssues() {
+        if (this.injected) return [];
+
+        const issues = [];
+        const missing = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_REGION', 'AWS_REPORT_BUCKET']
+            .filter(name => !process.env[name]);
+        if (missing.length > 0) {
+            issues.push(`${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} not set`);
+        }
+        if (process.env.AWS_REGION && !/^[a-z]{2}(-[a-z]+)+-\d+$/.test(process.env.AWS_REGION)) {
+            issues.push(`AWS_REGION "${process.env.AWS_REGION}" is not a valid region`);
+        }
+        return issues;
+    }
+
+    /**
+     * Live readiness check for /api/health: the report bucket, which also
+     * exercises the credentials
+     * @returns {Promise<Object[]>} [{ name, ok, message }]
+     */
+    async checkReadiness() {
+        try {
+            await this.s3.headBucket({ Bucket: this.bucket }).promise();
+            return [{ name: 'bucket', ok: true, message: `Bucket ${this.bucket} is reachable` }];
+        } catch (error) {
+            return [{ name: 'bucket', ok: false, message: `Bucket ${this.bucket} is not reachable: ${error.message || error.code}` }];
+        }
+    }
+
+    /**
+     * Settings used for a request, echoed in responses and recorded with each run.
+     * Throws on an unknown reading order.
+     * @param {Object} options - { mode, settings: { readingOrder: 'api' | 'layout' } }
+     * @returns {{model: string, readingOrder: string}} Textract API used and how lines are ordered
+     */
+    resolveSettings(options = {}) {
+        const requested = options.settings || {};
+        const readingOrder = requested.readingOrder || 'api';
+        if (!Object.keys(READING_ORDERS).includes(readingOrder)) {
+            throw new Error(`Unknown reading order: ${readingOrder}. Use one of: ${Object.keys(READING_ORDERS).join(', ')}`);
+        }
+
+        return {
+            model: structuredHelper.resolveMode(options.mode) === 'tables-forms'
+                ? 'AnalyzeDocument (TABLES, FORMS)'
+                : 'DetectDocumentText',
+            readingOrder: readingOrder
+        };
+    }
+
+    settingsSchema() {
+        return {
+            readingOrders: Object.entries(READING_ORDERS).map(([id, label]) => ({ id, label })),
+            defaultReadingOrder: 'api'
+        };
+    }
+
+    /**
+     * Provider interface entry point (see provider-registry.js). The document
+     * reaches Textract in one of three ways:
+     *   - inline bytes, for images and single-page PDFs and TIFFs up to 10MB,
+     *     which the synchronous API accepts directly
+     *   - an existing S3 object (file.location, see resolveReference), read
+     *     where it is and never deleted
+     *   - a temporary copy in AWS_REPORT_BUCKET, deleted afterwards
+     * Single-page images use the synchronous API, which takes them up to
+     * 10MB wherever they are read from, so larger ones are rejected up front;
+     * everything else from S3 runs as an asynchronous job.
+     * @param {Object} file - { buffer, mimeType, originalName } or { location, mimeType, originalName }
+     * @param {Object} options - { mode: 'text' | 'tables-forms', settings (see resolveSettings), onProgress(stage, message) }
+     * @returns {Promise<{text: string, pages: Object[], structured: ?Object}>} Extraction result
+     */
+    async extract(file, options = {}) {
+        const progress = options.onProgress || (() => {});
+        const type = fileTypeHelper.get(file.mimeType);
+        const singleImage = Boolean(type && !type.multiPage);
+        const size = file.buffer ? file.buffer.length : file.size;
+        if (singleImage && size > SYNC_MAX_BYTES) {
+            throw imageTooLarge(size);
+        }
+        let tempKey = null;
+
+        try {
+            if (file.location) {
+                progress('reference', `Reading ${file.location.url} in place`);
+                const document = { S3Object: s3Object(file.location) };
+                return singleImage ? await this.extractSync(document, options) : await this.extractAsync(document, options);
+            }
+
+            if (await this.fitsInline(file, type)) {
+                return await this.extractSync({ Bytes: file.buffer }, options);
+            }
+
+            console.log('Uploading document to S3...');
+            progress('uploading', 'Uploading document to S3');
+            tempKey = await this.uploadTemp(file.buffer, file.originalName, file.mimeType);
+            return await this.extractAsync({ S3Object: { Bucket: this.bucket, Name: tempKey } }, options);
+        } catch (err) {
+            console.error('Textract extraction error:', err);
+            throw errorHelper.wrap(err, 'Textract extraction failed');
+        } finally {
+            if (tempKey) {
+                progress('cleanup', 'Deleting temporary S3 object');
+                await this.deleteTemp(tempKey);
+            }
+        }
+    }
+
+    /**
+     * Whether a file can go to the synchronous API as inline bytes: 10MB at
+     * most, and a single page
+     */
+    async fitsInline(file, type) {
+        if (!type || file.buffer.length > SYNC_MAX_BYTES) return false;
+        return !type.multiPage || await fileTypeHelper.countPages(file.buffer, type.mimeType) === 1;
+    }
+
+    /**
+     * Look up an existing S3 object for extract() to read in place
+     * @param {string} url - s3://bucket/key
+     * @returns {Promise<Object>} { location: { bucket, key, url }, mimeType, originalName, size, etag }.
+     *          Rejects with code 'InvalidReference' for unusable URLs or file types, 'file_too_large'
+     *          for images over 10MB, and with the S3 error (e.g. 'NotFound', 'Forbidden') when the
+     *          object can't be read.
+     */
+    async resolveReference(url) {
+        const location = parseS3Url(url);
+        const head = await this.s3.headObject({ Bucket: location.bucket, Key: location.key }).promise();
+
+        const originalName = location.key.split('/').pop();
+        const type = fileTypeHelper.fromFileName(originalName) || fileTypeHelper.get(head.ContentType);
+        if (!type) {
+            throw invalidReference(`Cannot tell the file type of ${url}. Use a key ending in ${fileTypeHelper.types.map(entry => entry.extensions[0]).join(', ')}`);
+        }
+        if (!type.multiPage && head.ContentLength > SYNC_MAX_BYTES) {
+            throw imageTooLarge(head.ContentLength);
+        }
+
+        return {
+            location: location,
+            mimeType: type.mimeType,
+            originalName: originalName,
+            size: head.ContentLength,
+            etag: head.ETag || null
+        };
+    }
+
     async sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    isRetryable(error) {
+        return RETRYABLE_ERRORS.has(error.code) || error.retryable === true;
+    }
+
     /**
-     * Extract text from PDF buffer using AWS Textract
-     * Uploads to S3 first, then processes with Textract
-     * @param {Buffer} fileBuffer - PDF file buffer
-     * @param {string} originalFilename - Original filename
-     * @returns {Promise<string>} Extracted text
+     * Call a Textract API, retrying throttling and transient errors with
+     * exponential backoff and full jitter
+     * @param {Function} fn - Returns an AWS request (with .promise())
+     * @param {number} deadline - Give up retrying after this timestamp
+     * @param {Function} onRetry - (error, attempt, delayMs) called before each retry
      */
-    async extractTextFromPDF(fileBuffer, originalFilename = 'document.pdf') {
-        const fileName = `textract-temp/${uuidv4()}-${originalFilename}`;
+    async withRetries(fn, deadline = Infinity, onRetry = () => {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn().promise();
+            } catch (error) {
+                if (!this.isRetryable(error) || attempt > this.timing.maxRetries) {
+                    throw error;
+                }
+                const ceiling = Math.min(this.timing.maxPollIntervalMs, this.timing.retryBaseMs * 2 ** (attempt - 1));
+                const delay = Math.round(Math.random() * ceiling);
+                if (Date.now() + delay > deadline) {
+                    throw error;
+                }
+                onRetry(error, attempt, delay);
+                await this.sleep(delay);
+            }
+        }
+    }
 
+    /**
+     * Upload a temporary copy of the document for Textract to read
+     * @returns {Promise<string>} S3 key
+     */
+    async uploadTemp(fileBuffer, originalFilename, mimeType) {
+        const key = `textract-temp/${uuidv4()}-${originalFilename}`;
+        this.tempObjects.add(key);
         try {
-            // Step 1: Upload to S3
-            console.log('Uploading PDF to S3...');
-            await s3.putObject({
-                Bucket: process.env.AWS_REPORT_BUCKET,
-                Key: fileName,
+            await this.s3.putObject({
+                Bucket: this.bucket,
+                Key: key,
                 Body: fileBuffer,
-                ContentType: 'application/pdf'
+                ContentType: mimeType
             }).promise();
+        } catch (error) {
+            this.tempObjects.delete(key);
+            throw error;
+        }
+        return key;
+    }
 
-            // Step 2: Start Textract job
-            console.log('Starting Textract job...');
-            const startJob = await textract.startDocumentTextDetection({
-                DocumentLocation: {
-                    S3Object: {
-                        Bucket: process.env.AWS_REPORT_BUCKET,
-                        Name: fileName
-                    }
-                }
+    /**
+     * Delete a temporary upload. Failures are logged, not thrown, so they
+     * never mask the extraction result.
+     * @param {string} key - S3 key from uploadTemp
+     */
+    async deleteTemp(key) {
+        try {
+            await this.s3.deleteObject({
+                Bucket: this.bucket,
+                Key: key
             }).promise();
+            this.tempObjects.delete(key);
+            console.log('Cleaned up temporary S3 file');
+        } catch (deleteError) {
+            console.warn(`Failed to delete temporary file ${key}:`, deleteError.message);
+        }
+    }
 
-            const jobId = startJob.JobId;
+    /**
+     * Provider shutdown hook (see provider-registry.js): stop waiting for
+     * completion notifications and delete temporary uploads of extractions
+     * that are still running
+     */
+    async shutdown() {
+        if (this.completionWorker) await this.completionWorker.stop();
+        await Promise.all(Array.from(this.tempObjects, key => this.deleteTemp(key)));
+    }
 
-            // Step 3: Poll for completion
-            let jobStatus = '';
-            let extractedText = '';
+    /**
+     * Extract text with the synchronous API (single-page documents)
+     * @param {Object} document - Textract Document: { Bytes } or { S3Object }
+     * @param {Object} options - { mode: 'text' | 'tables-forms', settings, onProgress(stage, message) }
+     * @returns {Promise<{text: string, pages: Array<{page: number, text: string}>, structured: ?Object, warnings: string[], usage: {pages: number}}>} Extracted text
+     */
+    async extractSync(document, options = {}) {
+        const progress = options.onProgress || (() => {});
+        const analyze = structuredHelper.resolveMode(options.mode) === 'tables-forms';
+        const deadline = Date.now() + this.timing.timeoutMs;
 
-            do {
-                await this.sleep(3000); // Poll every 3 seconds
-                const status = await textract.getDocumentTextDetection({ JobId: jobId }).promise();
-                jobStatus = status.JobStatus;
+        progress('analyzing', `Calling ${analyze ? 'AnalyzeDocument' : 'DetectDocumentText'} (synchronous${document.Bytes ? ', inline' : ''})`);
+        const result = await this.withRetries(
+            () => (analyze
+                ? this.textract.analyzeDocument({ Document: document, FeatureTypes: ['TABLES', 'FORMS'] })
+                : this.textract.detectDocumentText({ Document: document })),
+            deadline,
+            (error, attempt, delay) => progress('throttled', `${error.code}, retry ${attempt} in ${delay}ms`)
+        );
+        const blocks = result.Blocks || [];
 
-                if (jobStatus === 'SUCCEEDED') {
-                    let nextToken;
+        const { text, pages } = this.linesToPages(blocks, 1, this.resolveSettings(options).readingOrder);
+        return {
+            text: text,
+            pages: pages,
+            structured: analyze ? this.parseStructuredBlocks(blocks) : null,
+            warnings: this.describeWarnings(result.Warnings),
+            usage: { pages: (result.DocumentMetadata && result.DocumentMetadata.Pages) || 1 }
+        };
+    }
 
-                    do {
-                        const result = await textract.getDocumentTextDetection({
-                            JobId: jobId,
-                            NextToken: nextToken
-                        }).promise();
+    /**
+     * Poll a job, backing off exponentially, until it finishes
+     * @returns {Promise<Object>} The first Get* response of the finished job
+     */
+    async pollUntilDone(jobId, getResults, deadline, progress) {
+        let polls = 0;
+        let interval = this.timing.pollIntervalMs;
 
-                        result.Blocks.forEach(block => {
-                            if (block.BlockType === 'LINE') {
-                                extractedText += block.Text + '\n';
-                            }
-                        });
+        while (true) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw this.jobTimeout(jobId);
+            }
+            await this.sleep(Math.min(interval, remaining));
+            interval = Math.min(interval * 2, this.timing.maxPollIntervalMs);
 
-                        nextToken = result.NextToken;
-                    } while (nextToken);
+            const status = await getResults({ JobId: jobId });
+            progress('polling', `Job status ${status.JobStatus} (check #${++polls})`);
+            if (this.isDone(status)) return status;
+        }
+    }
 
-                } else if (jobStatus === 'FAILED') {
-                    throw new Error('Textract job failed');
-                }
-            } while (jobStatus === 'IN_PROGRESS');
+    /**
+     * Wait for the completion worker to fetch the job's results. Every
+     * notificationCheckMs without them the job's status is checked once, so
+     * a job whose message was lost, or taken by another instance, is still
+     * picked up; one that is still running by the deadline times out as it
+     * would when polling.
+     * @returns {Promise<Object[]>} Every Get* response page of the finished job
+     */
+    async awaitNotification(jobId, getResults, deadline, progress) {
+        const worker = this.completionWorker;
+        progress('waiting', 'Waiting for the job completion notification');
 
-            // Step 4: Clean up - delete temporary S3 file
-            try {
-                await s3.deleteObject({
-                    Bucket: process.env.AWS_REPORT_BUCKET,
-                    Key: fileName
-                }).promise();
-                console.log('Cleaned up temporary S3 file');
-            } catch (deleteError) {
-                console.warn('Failed to delete temporary file:', deleteError.message);
+        while (true) {
+            const record = await worker.waitFor(jobId, Math.min(deadline, Date.now() + this.timing.notificationCheckMs));
+            if (record && this.isDone(record.responses[0])) {
+                progress('notified', `Job ${record.status.toLowerCase()} (notification received, results fetched)`);
+                return record.responses;
             }
 
-            return extractedText;
+            const status = await getResults({ JobId: jobId });
+            if (this.isDone(status)) {
+                progress('checked', `Job ${status.JobStatus.toLowerCase()} without a notification reaching this server`);
+                return this.collectResults(jobId, getResults, progress);
+            }
+            if (Date.now() >= deadline) {
+                throw this.jobTimeout(jobId);
+            }
+        }
+    }
 
-        } catch (err) {
-            // Clean up on error
-            try {
-                await s3.deleteObject({
-                    Bucket: process.env.AWS_REPORT_BUCKET,
-                    Key: fileName
-                }).promise();
-            } catch (deleteError) {
-                // Ignore cleanup errors
+    /**
+     * Fetch every page of a finished job's results
+     * @returns {Promise<Object[]>} Get* responses, in order
+     */
+    async collectResults(jobId, getResults, progress = () => {}) {
+        const responses = [];
+        let nextToken;
+
+        do {
+            progress('paginating', `Fetching result page ${responses.length + 1}`);
+            const result = await getResults({
+                JobId: jobId,
+                NextToken: nextToken
+            });
+            responses.push(result);
+            nextToken = result.NextToken;
+        } while (nextToken);
+
+        return responses;
+    }
+
+    /**
+     * @param {boolean} analyze - Whether the job is a document analysis
+     * @param {number} deadline - Stop retrying throttled calls at this timestamp
+     * @param {Function} onRetry - Called with (error, attempt, delay) before each retry
+     * @returns {Function} Calls GetDocumentAnalysis or GetDocumentTextDetection with the given params
+     */
+    resultsGetter(analyze, deadline, onRetry) {
+        return params => this.withRetries(() => (analyze
+            ? this.textract.getDocumentAnalysis(params)
+            : this.textract.getDocumentTextDetection(params)), deadline, onRetry);
+    }
+
+    /**
+     * @param {Object} status - Get* response
+     * @returns {boolean} Whether the job succeeded (fully or partially); false while it is in progress
+     */
+    isDone(status) {
+        if (status.JobStatus === 'SUCCEEDED' || status.JobStatus === 'PARTIAL_SUCCESS') {
+            return true;
+        }
+        if (status.JobStatus === 'FAILED') {
+            throw new Error(`Textract job failed${status.StatusMessage ? `: ${status.StatusMessage}` : ''}`);
+        }
+        if (status.JobStatus !== 'IN_PROGRESS') {
+            throw new Error(`Unexpected Textract job status: ${status.JobStatus}`);
+        }
+        return false;
+    }
+
+    jobTimeout(jobId) {
+        return errorHelper.create('timeout', `Job ${jobId} did not finish within ${Math.round(this.timing.timeoutMs / 1000)}s`);
+    }
+
+    /**
+     * Extract text from a document in S3 using an asynchronous Textract job.
+     * In 'tables-forms' mode the document analysis API is used with the
+     * TABLES and FORMS features. Completion is awaited by polling, backing off
+     * exponentially, or through the completion worker, which also fetches the
+     * results, when notifications are on; either way the whole job is bounded
+     * by the configured timeout.
+     * @param {Object} documentLocation - Textract DocumentLocation: { S3Object }
+     * @param {Object} options - { mode: 'text' | 'tables-forms', settings, onProgress(stage, message) }
+     * @returns {Promise<{text: string, pages: Array<{page: number, text: string}>, structured: ?Object, warnings: string[], usage: {pages: number}}>} Extracted text, overall and per page
+     */
+    async extractAsync(documentLocation, options = {}) {
+        const progress = options.onProgress || (() => {});
+        const analyze = structuredHelper.resolveMode(options.mode) === 'tables-forms';
+        const deadline = Date.now() + this.timing.timeoutMs;
+        const onRetry = (error, attempt, delay) => progress('throttled', `${error.code}, retry ${attempt} in ${delay}ms`);
+        const getResults = this.resultsGetter(analyze, deadline, onRetry);
+
+        // Step 1: Start Textract job
+        console.log(`Starting Textract ${analyze ? 'analysis' : 'text detection'} job...`);
+        const params = { DocumentLocation: documentLocation };
+        if (this.completionWorker) {
+            params.NotificationChannel = { SNSTopicArn: this.channel.topicArn, RoleArn: this.channel.roleArn };
+            params.JobTag = this.completionWorker.jobTag;
+        }
+        const startJob = await this.withRetries(() => (analyze
+            ? this.textract.startDocumentAnalysis({ ...params, FeatureTypes: ['TABLES', 'FORMS'] })
+            : this.textract.startDocumentTextDetection(params)), deadline, onRetry);
+
+        const jobId = startJob.JobId;
+        progress('started', `Textract job started (${jobId})`);
+
+        // Step 2: Wait for completion and collect every page of results
+        let responses;
+        if (this.completionWorker) {
+            responses = await this.awaitNotification(jobId, getResults, deadline, progress);
+        } else {
+            await this.pollUntilDone(jobId, getResults, deadline, progress);
+            responses = await this.collectResults(jobId, getResults, progress);
+        }
+
+        // Step 3: Merge the pages
+        const status = responses[0];
+        const warnings = [];
+        if (status.JobStatus === 'PARTIAL_SUCCESS') {
+            warnings.push('Textract could only process part of the document (PARTIAL_SUCCESS)');
+        }
+        if (status.StatusMessage) {
+            warnings.push(status.StatusMessage);
+        }
+
+        const blocks = [];
+        const rawWarnings = [];
+        let pageCount = 0;
+
+        responses.forEach(result => {
+            if (result.DocumentMetadata) {
+                pageCount = result.DocumentMetadata.Pages;
             }
 
-            console.error('Textract extraction error:', err);
-            throw new Error(`Textract extraction failed: ${err.message}`);
+            blocks.push(...(result.Blocks || []));
+            rawWarnings.push(...(result.Warnings || []));
+        });
+
+        const { text, pages } = this.linesToPages(blocks, pageCount, this.resolveSettings(options).readingOrder);
+
+        return {
+            text: text,
+            pages: pages,
+            structured: analyze ? this.parseStructuredBlocks(blocks) : null,
+            warnings: warnings.concat(this.describeWarnings(rawWarnings)),
+            usage: { pages: pageCount }
+        };
+    }
+
+    /**
+     * Merge Textract Warnings ({ ErrorCode, Pages }) into readable messages
+     * @param {Object[]} warnings - Warnings from one or more result pages
+     * @returns {string[]} One message per error code
+     */
+    describeWarnings(warnings = []) {
+        const pagesByCode = new Map();
+        warnings.forEach(warning => {
+            const pages = pagesByCode.get(warning.ErrorCode) || new Set();
+            (warning.Pages || []).forEach(page => pages.add(page));
+            pagesByCode.set(warning.ErrorCode, pages);
+        });
+
+        return Array.from(pagesByCode, ([code, pages]) => (pages.size > 0
+            ? `${code} on page${pages.size > 1 ? 's' : ''} ${Array.from(pages).sort((a, b) => a - b).join(', ')}`
+            : code));
+    }
+
+    /**
+     * Group LINE blocks into overall text and per-page text. Each page also
+     * keeps its lines with their confidence and bounding box (fractions of
+     * the page size, as Textract reports them) and the same for their words.
+     * In 'layout' reading order each page's lines are sorted into columns and
+     * paragraphs, with a blank line between paragraphs and between pages.
+     * @param {Object[]} blocks - Textract blocks
+     * @param {number} pageCount - DocumentMetadata.Pages
+     * @param {string} readingOrder - 'api' or 'layout'
+     * @returns {{text: string, pages: Array<{page: number, text: string, lines: Object[]}>}}
+     */
+    linesToPages(blocks, pageCount = 0, readingOrder = 'api') {
+        let text = '';
+        const pageLines = new Map();
+        const blockMap = new Map(blocks.map(block => [block.Id, block]));
+
+        blocks.forEach(block => {
+            if (block.BlockType === 'LINE') {
+                text += block.Text + '\n';
+
+                const page = block.Page || 1;
+                if (!pageLines.has(page)) {
+                    pageLines.set(page, []);
+                }
+                pageLines.get(page).push({
+                    ...this.layoutOf(block),
+                    words: (block.Relationships || [])
+                        .filter(relationship => relationship.Type === 'CHILD')
+                        .reduce((ids, relationship) => ids.concat(relationship.Ids), [])
+                        .map(id => blockMap.get(id))
+                        .filter(child => child && child.BlockType === 'WORD')
+                        .map(word => this.layoutOf(word))
+                });
+            }
+        });
+
+        // Include pages without any detected lines so page numbers line up across providers
+        pageCount = Math.max(pageCount, ...pageLines.keys(), 0);
+        const pages = [];
+        for (let page = 1; page <= pageCount; page++) {
+            const lines = pageLines.get(page) || [];
+            if (readingOrder === 'layout') {
+                const ordered = readingOrderHelper.order(lines);
+                pages.push({ page, text: readingOrderHelper.toText(ordered), lines: ordered });
+            } else {
+                pages.push({ page, text: lines.map(line => line.text).join('\n'), lines });
+            }
+        }
+
+        if (readingOrder === 'layout') {
+            text = pages
+                .filter(page => page.lines.length > 0)
+                .map(page => page.text + '\n')
+                .join('\n');
         }
+        return { text, pages };
     }
+
+    /**
+     * @param {Object} block - LINE or WORD block
+     * @returns {{text: string, confidence: ?number, boundingBox: ?{left: number, top: number, width: number, height: number}}}
+     */
+    layoutOf(block) {
+        const box = block.Geometry && block.Geometry.BoundingBox;
+        return {
+            text: block.Text,
+            confidence: typeof block.Confidence === 'number' ? block.Confidence : null,
+            boundingBox: box
+                ? { left: box.Left, top: box.Top, width: box.Width, height: box.Height }
+                : null
+        };
+    }
+
+    /**
+     * Build tables and key-value pairs from document analysis blocks
+     * @param {Object[]} blocks - Textract blocks from getDocumentAnalysis
+     * @returns {{tables: Object[], keyValues: Object[]}} Normalized structured result
+     */
+    parseStructuredBlocks(blocks) {
+        const blockMap = new Map(blocks.map(block => [block.Id, block]));
+        const related = (block, type) => (block.Relationships || [])
+            .filter(relationship => relationship.Type === type)
+            .reduce((ids, relationship) => ids.concat(relationship.Ids), [])
+            .map(id => blockMap.get(id))
+            .filter(Boolean);
+        const childText = block => related(block, 'CHILD')
+            .map(child => {
+                if (child.BlockType === 'WORD') return child.Text;
+                if (child.BlockType === 'SELECTION_ELEMENT') {
+                    return child.SelectionStatus === 'SELECTED' ? '[X]' : '[ ]';
+                }
+                return '';
+            })
+            .filter(Boolean)
+            .join(' ');
+
+        const tables = blocks
+            .filter(block => block.BlockType === 'TABLE')
+            .map(table => {
+                const rows = [];
+                related(table, 'CHILD')
+                    .filter(cell => cell.BlockType === 'CELL')
+                    .forEach(cell => {
+                        const rowIndex = cell.RowIndex - 1;
+                        rows[rowIndex] = rows[rowIndex] || [];
+                        rows[rowIndex][cell.ColumnIndex - 1] = childText(cell);
+                    });
+
+                return {
+                    page: table.Page || 1,
+                    rows: Array.from(rows, row => Array.from(row || [], cell => cell || ''))
+                };
+            });
+
+        const keyValues = blocks
+            .filter(block => block.BlockType === 'KEY_VALUE_SET' && (block.EntityTypes || []).includes('KEY'))
+            .map(keyBlock => ({
+                page: keyBlock.Page || 1,
+                key: childText(keyBlock),
+                value: related(keyBlock, 'VALUE').map(childText).join(' ')
+            }));
+
+        return structuredHelper.normalize({ tables, keyValues });
+    }
+}
+
+/**
+ * @param {string} url - s3://bucket/key
+ * @returns {{bucket: string, key: string, url: string}}
+ */
+function parseS3Url(url) {
+    const match = /^s3:\/\/([a-z0-9][a-z0-9.-]{1,61}[a-z0-9])\/(.+)$/.exec(String(url || '').trim());
+    if (!match) {
+        throw invalidReference(`Expected an S3 URL like s3://bucket/key, got "${url || ''}"`);
+    }
+    return { bucket: match[1], key: match[2], url: `s3://${match[1]}/${match[2]}` };
+}
+
+function s3Object(location) {
+    return { Bucket: location.bucket, Name: location.key };
+}
+
+function imageTooLarge(bytes) {
+    return errorHelper.create('file_too_large',
+        `Textract reads PNG and JPEG images up to 10MB, this one is ${(bytes / 1024 / 1024).toFixed(1)}MB. Convert it to PDF or TIFF, or reduce its size`);
+}
+
+function invalidReference(message) {
+    const error = new Error(message);
+    error.code = 'InvalidReference';
+    return error;
 }
 
 module.exports = new TextractHelper();
+module.exports.TextractHelper = TextractHelper;
+module.exports.parseS3Url = parseS3Url;
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+const RESULTS_DIR = path.resolve(process.env.TEXTRACT_RESULTS_DIR || path.join(__dirname, 'data', 'textract-results'));
+// Textract JobIds are hex strings; anything else never names a file
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Results of finished Textract jobs, fetched by the completion worker (see
+ * completion-worker.js) and kept as one JSON file per job under
+ * TEXTRACT_RESULTS_DIR until the extraction waiting for them takes them.
+ * Being on disk, results outlive a restart and can be shared by server
+ * instances that read the same queue and directory.
+ *
+ * A record looks like:
+ *   {
+ *     jobId, status, api, jobTag, storedAt,
+ *     responses: [ ... ]   // every Get* response page, in order
+ *   }
+ */
+class TextractResultStore {
+    constructor(directory = RESULTS_DIR) {
+        this.directory = directory;
+    }
+
+    filePath(jobId) {
+        if (!JOB_ID_PATTERN.test(jobId)) {
+            return null;
+        }
+        return path.join(this.directory, `${jobId}.json`);
+    }
+
+    /**
+     * Persist a job's results
+     * @param {Object} record - { jobId, status, api, jobTag, responses }
+     */
+    async save(record) {
+        const target = this.filePath(record.jobId);
+        if (!target) throw new Error(`Invalid Textract job id: ${record.jobId}`);
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const tempPath = `${target}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({ ...record, storedAt: new Date().toISOString() }));
+        await fs.promises.rename(tempPath, target);
+    }
+
+    /**
+     * @param {string} jobId - Textract JobId
+     * @returns {Promise<Object|null>} The stored record, or null if there is none
+     */
+    async get(jobId) {
+        const target = this.filePath(jobId);
+        if (!target) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(target, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} jobId - Textract JobId
+     * @returns {Promise<boolean>} True if a record was deleted
+     */
+    async delete(jobId) {
+        const target = this.filePath(jobId);
+        if (!target) return false;
+
+        try {
+            await fs.promises.unlink(target);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete records nobody took within maxAgeMs
+     * @param {number} maxAgeMs - Age limit
+     * @returns {Promise<number>} Number of records deleted
+     */
+    async prune(maxAgeMs) {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const cutoff = Date.now() - maxAgeMs;
+        let deleted = 0;
+        await Promise.all(names.filter(name => name.endsWith('.json')).map(async name => {
+            const target = path.join(this.directory, name);
+            try {
+                const stats = await fs.promises.stat(target);
+                if (stats.mtimeMs >= cutoff) return;
+                await fs.promises.unlink(target);
+                deleted++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }));
+        return deleted;
+    }
+}
+
+module.exports = new TextractResultStore();
+module.exports.TextractResultStore = TextractResultStore;
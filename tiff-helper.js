@@ -0,0 +1,71 @@
+const UTIF = require('utif');
+const { PNG } = require('pngjs');
+const { PDFDocument } = require('pdf-lib');
+const errorHelper = require('./error-helper');
+
+// PDF user space units per inch
+const POINTS_PER_INCH = 72;
+// TIFF ResolutionUnit values
+const UNIT_INCH = 2;
+const UNIT_CENTIMETER = 3;
+
+/**
+ * Converts TIFF files for providers that can't read them (Gemini accepts
+ * PDFs, PNG and JPEG but not TIFF). Every page of a multi-page TIFF becomes
+ * one PDF page holding that page as a lossless PNG, sized from the TIFF's
+ * resolution so the page keeps its physical dimensions.
+ */
+class TiffHelper {
+    /**
+     * @param {Buffer} buffer - TIFF content
+     * @returns {Promise<{buffer: Buffer, pages: number}>} PDF with one page per TIFF page
+     */
+    async toPdf(buffer) {
+        let pages;
+        try {
+            // Only directories with ImageWidth and ImageLength are pages
+            pages = UTIF.decode(buffer).filter(ifd => ifd.t256 && ifd.t257);
+        } catch (error) {
+            throw errorHelper.create('unsupported_document', `Could not read the TIFF file: ${error.message}`, error);
+        }
+        if (pages.length === 0) {
+            throw errorHelper.create('unsupported_document', 'The TIFF file has no pages');
+        }
+
+        const pdf = await PDFDocument.create();
+        // Decode one page at a time; decoded pages are width * height * 4 bytes each
+        for (const ifd of pages) {
+            let png;
+            try {
+                UTIF.decodeImage(buffer, ifd);
+                png = PNG.sync.write({ width: ifd.width, height: ifd.height, data: Buffer.from(UTIF.toRGBA8(ifd)) });
+            } catch (error) {
+                throw errorHelper.create('unsupported_document', `Could not decode a page of the TIFF file: ${error.message}`, error);
+            }
+            // Drop the decoded pixels before the next page
+            ifd.data = null;
+
+            const image = await pdf.embedPng(png);
+            const scale = POINTS_PER_INCH / this.dpi(ifd);
+            const page = pdf.addPage([ifd.width * scale, ifd.height * scale]);
+            page.drawImage(image, { x: 0, y: 0, width: page.getWidth(), height: page.getHeight() });
+        }
+
+        return { buffer: Buffer.from(await pdf.save()), pages: pages.length };
+    }
+
+    /**
+     * @param {Object} ifd - Decoded image file directory
+     * @returns {number} Horizontal dots per inch, or 72 when the file doesn't say
+     */
+    dpi(ifd) {
+        const resolution = ifd.t282 && Number(ifd.t282[0]);
+        if (!resolution || !Number.isFinite(resolution)) return POINTS_PER_INCH;
+        const unit = ifd.t296 ? ifd.t296[0] : UNIT_INCH;
+        if (unit === UNIT_CENTIMETER) return resolution * 2.54;
+        return unit === UNIT_INCH ? resolution : POINTS_PER_INCH;
+    }
+}
+
+module.exports = new TiffHelper();
+module.exports.TiffHelper = TiffHelper;
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+const USAGE_FILE = path.resolve(process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json'));
+const USAGE_FIELDS = ['pages', 'inputTokens', 'outputTokens', 'thinkingTokens'];
+
+/**
+ * Cumulative billable usage and estimated spend, persisted to USAGE_FILE.
+ * Only extractions that actually reached a provider are recorded; cache
+ * hits cost nothing.
+ *
+ * The ledger looks like:
+ *   {
+ *     since, updatedAt, currency,
+ *     total: { extractions, cost },
+ *     providers: {
+ *       [providerId]: { extractions, cost, usage, models: { [model]: { extractions, cost, usage } } }
+ *     }
+ *   }
+ *
+ * cost is the sum of the priced extractions; unpriced ones still count
+ * towards extractions and usage.
+ */
+class UsageLedger {
+    constructor(file = USAGE_FILE) {
+        this.file = file;
+        this.ledger = null;
+        this.pending = Promise.resolve();
+    }
+
+    empty() {
+        return {
+            since: new Date().toISOString(),
+            updatedAt: null,
+            currency: 'USD',
+            total: { extractions: 0, cost: 0 },
+            providers: {}
+        };
+    }
+
+    async load() {
+        if (this.ledger) return this.ledger;
+
+        try {
+            this.ledger = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.ledger = this.empty();
+        }
+        return this.ledger;
+    }
+
+    /**
+     * Add one extraction to the totals
+     * @param {Object} entry - { provider, model, usage, cost } where cost is a pricing-helper estimate or null
+     * @returns {Promise<void>}
+     */
+    record(entry) {
+        // Serialize updates so concurrent extractions don't overwrite each other
+        this.pending = this.pending.then(async () => {
+            const ledger = await this.load();
+            const amount = entry.cost ? entry.cost.amount : 0;
+            if (entry.cost) ledger.currency = entry.cost.currency;
+
+            const provider = ledger.providers[entry.provider]
+                || (ledger.providers[entry.provider] = { extractions: 0, cost: 0, usage: {}, models: {} });
+            const modelName = entry.model || 'default';
+            const model = provider.models[modelName]
+                || (provider.models[modelName] = { extractions: 0, cost: 0, usage: {} });
+
+            [ledger.total, provider, model].forEach(bucket => {
+                bucket.extractions += 1;
+                bucket.cost = roundCost(bucket.cost + amount);
+            });
+            [provider, model].forEach(bucket => addUsage(bucket.usage, entry.usage));
+            ledger.updatedAt = new Date().toISOString();
+
+            await this.save(ledger);
+        }).catch(error => {
+            console.error('Failed to record usage:', error);
+        });
+        return this.pending;
+    }
+
+    async save(ledger) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const tempPath = `${this.file}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(ledger, null, 2));
+        await fs.promises.rename(tempPath, this.file);
+    }
+
+    /**
+     * @returns {Promise<Object>} The ledger (see above)
+     */
+    async summary() {
+        await this.pending;
+        return this.load();
+    }
+}
+
+function addUsage(totals, usage) {
+    if (!usage) return;
+    USAGE_FIELDS.forEach(field => {
+        if (typeof usage[field] === 'number') {
+            totals[field] = (totals[field] || 0) + usage[field];
+        }
+    });
+}
+
+function roundCost(amount) {
+    return Math.round(amount * 1e6) / 1e6;
+}
+
+module.exports = new UsageLedger();
+module.exports.UsageLedger = UsageLedger;